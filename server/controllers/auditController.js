@@ -0,0 +1,90 @@
+// controllers/auditController.js
+const asyncHandler = require("express-async-handler");
+const AuditLog = require("../models/AuditLog");
+const {
+  buildPagination,
+  parsePagination,
+  sendPaginated,
+} = require("../utils/apiResponse");
+const {
+  applyCursor,
+  buildCursorPage,
+  withNextCursor,
+} = require("../utils/cursor");
+const { buildAuditFilter, auditToCsv } = require("../utils/audit");
+
+// Exports are capped so one request cannot pull an unbounded log
+const EXPORT_LIMIT = 10000;
+
+/**
+ * @desc    Get the audit log of a project, or export it with ?format=csv|json
+ * @route   GET /api/projects/:projectId/audit
+ * @access  Private (audit:read - owner only)
+ */
+const getProjectAudit = asyncHandler(async (req, res) => {
+  const project = req.project;
+  const filter = buildAuditFilter(project._id, req.query);
+
+  // Newest first, _id breaks ties between identical timestamps
+  const sort = { createdAt: -1, _id: -1 };
+
+  if (req.query.format) {
+    const entries = await AuditLog.find(filter)
+      .sort(sort)
+      .limit(EXPORT_LIMIT)
+      .populate("actor", "name email")
+      .lean();
+
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `audit-${project._id}-${date}.${req.query.format}`;
+    res.attachment(filename);
+
+    if (req.query.format === "csv") {
+      return res.type("text/csv").send(auditToCsv(entries));
+    }
+
+    return res.json(entries);
+  }
+
+  const { page, limit, skip } = parsePagination(req.query, {
+    defaultLimit: 50,
+  });
+
+  // ?after=<cursor> pages by position; otherwise page numbers are used
+  let entries;
+  let pagination;
+
+  if (req.query.after) {
+    const results = await AuditLog.find(
+      applyCursor(filter, sort, req.query.after)
+    )
+      .sort(sort)
+      .limit(limit + 1)
+      .populate("actor", "name email avatarUrl");
+
+    ({ items: entries, pagination } = buildCursorPage(results, {
+      limit,
+      sort,
+    }));
+  } else {
+    entries = await AuditLog.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate("actor", "name email avatarUrl");
+
+    const totalEntries = await AuditLog.countDocuments(filter);
+
+    pagination = withNextCursor(
+      buildPagination({ page, limit, totalItems: totalEntries }),
+      entries,
+      sort
+    );
+  }
+
+  sendPaginated(res, { entries }, { count: entries.length, pagination });
+});
+
+module.exports = {
+  getProjectAudit,
+};
@@ -2,6 +2,13 @@
 const asyncHandler = require("express-async-handler");
 const { verifyIdToken } = require("../config/firebase");
 const User = require("../models/User");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+  sendSuccess,
+} = require("../utils/apiResponse");
 
 /**
  * @desc    Login/Register user with Firebase token
@@ -12,8 +19,10 @@ const loginUser = asyncHandler(async (req, res) => {
   const { idToken } = req.body;
 
   if (!idToken) {
-    res.status(400);
-    throw new Error("Firebase ID token is required");
+    throw new BadRequestError(
+      "Firebase ID token is required",
+      ERROR_CODES.VALIDATION_ERROR
+    );
   }
 
   try {
@@ -33,21 +42,20 @@ const loginUser = asyncHandler(async (req, res) => {
       });
     }
 
-    res.status(200).json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          avatarUrl: user.avatarUrl,
-          badges: user.badges,
-        },
+    sendSuccess(res, {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        avatarUrl: user.avatarUrl,
+        badges: user.badges,
       },
     });
   } catch (error) {
-    res.status(401);
-    throw new Error(`Authentication failed: ${error.message}`);
+    throw new UnauthorizedError(
+      `Authentication failed: ${error.message}`,
+      ERROR_CODES.INVALID_TOKEN
+    );
   }
 });
 
@@ -60,20 +68,16 @@ const getCurrentUser = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.id).select("-__v");
 
   if (!user) {
-    res.status(404);
-    throw new Error("User not found");
+    throw new NotFoundError("User not found", ERROR_CODES.USER_NOT_FOUND);
   }
 
-  res.status(200).json({
-    success: true,
-    data: {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        avatarUrl: user.avatarUrl,
-        badges: user.badges,
-      },
+  sendSuccess(res, {
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      avatarUrl: user.avatarUrl,
+      badges: user.badges,
     },
   });
 });
@@ -90,8 +94,7 @@ const updateUserProfile = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.id);
 
   if (!user) {
-    res.status(404);
-    throw new Error("User not found");
+    throw new NotFoundError("User not found", ERROR_CODES.USER_NOT_FOUND);
   }
 
   // Update fields if provided
@@ -101,16 +104,13 @@ const updateUserProfile = asyncHandler(async (req, res) => {
   // Save the updated user
   const updatedUser = await user.save();
 
-  res.status(200).json({
-    success: true,
-    data: {
-      user: {
-        id: updatedUser._id,
-        name: updatedUser.name,
-        email: updatedUser.email,
-        avatarUrl: updatedUser.avatarUrl,
-        badges: updatedUser.badges,
-      },
+  sendSuccess(res, {
+    user: {
+      id: updatedUser._id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      avatarUrl: updatedUser.avatarUrl,
+      badges: updatedUser.badges,
     },
   });
 });
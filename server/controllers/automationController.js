@@ -1,36 +1,26 @@
 // controllers/automationController.js
 const asyncHandler = require("express-async-handler");
 const Automation = require("../models/Automation");
-const Project = require("../models/Project");
-const Task = require("../models/Task");
-const User = require("../models/User");
+const { sendSuccess } = require("../utils/apiResponse");
+const { validateAutomationLogic } = require("../utils/validators");
+const {
+  AUDITED_FIELDS,
+  snapshot,
+  auditTarget,
+  recordAudit,
+} = require("../utils/audit");
 
 /**
  * @desc    Create a new automation
  * @route   POST /api/automations
- * @access  Private (Project members with editor rights)
+ * @access  Private (automation:create - owners and editors)
  */
 const createAutomation = asyncHandler(async (req, res) => {
   const { project: projectId, name, trigger, action } = req.body;
 
-  // Project access middleware already ensured the user has access to the project
+  // The project was loaded and the role checked by requirePermission
   const project = req.project;
 
-  // Check user role
-  const memberInfo = project.members.find(
-    (member) => member.user.toString() === req.user.id
-  );
-
-  const isOwner = project.owner.toString() === req.user.id;
-  const isEditor = memberInfo.role === "editor";
-
-  if (!isOwner && !isEditor) {
-    res.status(403);
-    throw new Error(
-      "Access denied: Only project owners and editors can create automations"
-    );
-  }
-
   // Validate trigger and action
   validateAutomationLogic(trigger, action, project);
 
@@ -43,110 +33,58 @@ const createAutomation = asyncHandler(async (req, res) => {
     creator: req.user.id,
   });
 
-  res.status(201).json({
-    success: true,
-    data: { automation },
+  await recordAudit(req, {
+    action: "automation.created",
+    target: auditTarget("automation", automation),
+    after: snapshot(automation, AUDITED_FIELDS.automation),
   });
+
+  sendSuccess(res, { automation }, { statusCode: 201 });
 });
 
 /**
  * @desc    Get all automations for a project
  * @route   GET /api/automations/project/:projectId
- * @access  Private (Project members only)
+ * @access  Private (automation:read)
  */
 const getProjectAutomations = asyncHandler(async (req, res) => {
   const projectId = req.params.projectId;
 
-  // Project access middleware already ensured the user has access to the project
+  // requirePermission already ensured the user has access to the project
   const automations = await Automation.find({ project: projectId })
     .populate("creator", "name email avatarUrl")
     .sort({ createdAt: -1 });
 
-  res.status(200).json({
-    success: true,
-    count: automations.length,
-    data: { automations },
-  });
+  sendSuccess(res, { automations }, { meta: { count: automations.length } });
 });
 
 /**
  * @desc    Get a single automation by ID
  * @route   GET /api/automations/:automationId
- * @access  Private (Project members only)
+ * @access  Private (automation:read)
  */
 const getAutomationById = asyncHandler(async (req, res) => {
-  const automationId = req.params.automationId;
-
-  const automation = await Automation.findById(automationId).populate(
+  // The automation was loaded and access-checked by requirePermission
+  const automation = await req.automation.populate(
     "creator",
     "name email avatarUrl"
   );
 
-  if (!automation) {
-    res.status(404);
-    throw new Error("Automation not found");
-  }
-
-  // Verify user has access to the automation's project
-  const project = await Project.findById(automation.project);
-  const isMember = project.members.some(
-    (member) => member.user.toString() === req.user.id
-  );
-
-  if (!isMember) {
-    res.status(403);
-    throw new Error(
-      "Access denied: You are not a member of this automation's project"
-    );
-  }
-
-  res.status(200).json({
-    success: true,
-    data: { automation },
-  });
+  sendSuccess(res, { automation });
 });
 
 /**
  * @desc    Update an automation
  * @route   PUT /api/automations/:automationId
- * @access  Private (Project members with editor rights)
+ * @access  Private (automation:update - owners and editors)
  */
 const updateAutomation = asyncHandler(async (req, res) => {
-  const automationId = req.params.automationId;
   const { name, trigger, action, active } = req.body;
 
-  // Find the automation
-  const automation = await Automation.findById(automationId);
-
-  if (!automation) {
-    res.status(404);
-    throw new Error("Automation not found");
-  }
-
-  // Verify user has access to the automation's project
-  const project = await Project.findById(automation.project);
-  const memberInfo = project.members.find(
-    (member) => member.user.toString() === req.user.id
-  );
-
-  if (!memberInfo) {
-    res.status(403);
-    throw new Error(
-      "Access denied: You are not a member of this automation's project"
-    );
-  }
-
-  // Check user role
-  const isOwner = project.owner.toString() === req.user.id;
-  const isCreator = automation.creator.toString() === req.user.id;
-  const isEditor = memberInfo.role === "editor";
-
-  if (!isOwner && !isCreator && !isEditor) {
-    res.status(403);
-    throw new Error(
-      "Access denied: Only project owners, automation creators, and editors can update automations"
-    );
-  }
+  // The automation was loaded and the role checked by requirePermission
+  const automation = req.automation;
+  const project = req.project;
+  const before = snapshot(automation, AUDITED_FIELDS.automation);
 
   // Update fields if provided
   if (name) automation.name = name;
@@ -171,151 +109,64 @@ const updateAutomation = asyncHandler(async (req, res) => {
   // Save the updated automation
   const updatedAutomation = await automation.save();
 
-  res.status(200).json({
-    success: true,
-    data: { automation: updatedAutomation },
+  await recordAudit(req, {
+    action: "automation.updated",
+    target: auditTarget("automation", automation),
+    before,
+    after: snapshot(updatedAutomation, AUDITED_FIELDS.automation),
   });
+
+  sendSuccess(res, { automation: updatedAutomation });
 });
 
 /**
  * @desc    Delete an automation
  * @route   DELETE /api/automations/:automationId
- * @access  Private (Project members with editor rights)
+ * @access  Private (automation:delete - owners and editors)
  */
 const deleteAutomation = asyncHandler(async (req, res) => {
-  const automationId = req.params.automationId;
-
-  // Find the automation
-  const automation = await Automation.findById(automationId);
-
-  if (!automation) {
-    res.status(404);
-    throw new Error("Automation not found");
-  }
-
-  // Verify user has access to the automation's project
-  const project = await Project.findById(automation.project);
-  const memberInfo = project.members.find(
-    (member) => member.user.toString() === req.user.id
-  );
-
-  if (!memberInfo) {
-    res.status(403);
-    throw new Error(
-      "Access denied: You are not a member of this automation's project"
-    );
-  }
-
-  // Check user role
-  const isOwner = project.owner.toString() === req.user.id;
-  const isCreator = automation.creator.toString() === req.user.id;
-  const isEditor = memberInfo.role === "editor";
-
-  if (!isOwner && !isCreator && !isEditor) {
-    res.status(403);
-    throw new Error(
-      "Access denied: Only project owners, automation creators, and editors can delete automations"
-    );
-  }
+  // The automation was loaded and the role checked by requirePermission
+  const automation = req.automation;
 
   // Delete the automation
   await automation.deleteOne();
 
-  res.status(200).json({
-    success: true,
-    message: "Automation deleted successfully",
-    data: null,
+  await recordAudit(req, {
+    action: "automation.deleted",
+    target: auditTarget("automation", automation),
+    before: snapshot(automation, AUDITED_FIELDS.automation),
   });
+
+  sendSuccess(res, null, { message: "Automation deleted successfully" });
 });
 
 /**
  * @desc    Toggle automation active state
  * @route   PUT /api/automations/:automationId/toggle
- * @access  Private (Project members with editor rights)
+ * @access  Private (automation:update - owners and editors)
  */
 const toggleAutomation = asyncHandler(async (req, res) => {
-  const automationId = req.params.automationId;
-
-  // Find the automation
-  const automation = await Automation.findById(automationId);
-
-  if (!automation) {
-    res.status(404);
-    throw new Error("Automation not found");
-  }
-
-  // Verify user has access to the automation's project
-  const project = await Project.findById(automation.project);
-  const memberInfo = project.members.find(
-    (member) => member.user.toString() === req.user.id
-  );
-
-  if (!memberInfo) {
-    res.status(403);
-    throw new Error(
-      "Access denied: You are not a member of this automation's project"
-    );
-  }
-
-  // Check user role
-  const isOwner = project.owner.toString() === req.user.id;
-  const isCreator = automation.creator.toString() === req.user.id;
-  const isEditor = memberInfo.role === "editor";
-
-  if (!isOwner && !isCreator && !isEditor) {
-    res.status(403);
-    throw new Error(
-      "Access denied: Only project owners, automation creators, and editors can toggle automations"
-    );
-  }
+  // The automation was loaded and the role checked by requirePermission
+  const automation = req.automation;
 
   // Toggle active state
   automation.active = !automation.active;
   await automation.save();
 
-  res.status(200).json({
-    success: true,
-    data: {
-      automation,
-      message: `Automation ${
-        automation.active ? "enabled" : "disabled"
-      } successfully`,
-    },
+  await recordAudit(req, {
+    action: "automation.updated",
+    target: auditTarget("automation", automation),
+    before: { active: !automation.active },
+    after: { active: automation.active },
   });
-});
-
-/**
- * Helper function to validate automation logic
- */
-const validateAutomationLogic = (trigger, action, project) => {
-  // Validate task status triggers
-  if (trigger.type === "task_status_changed" && trigger.condition?.value) {
-    // Check if the status exists in the project
-    const validStatus = project.statuses.some(
-      (s) => s.name === trigger.condition.value
-    );
-    if (!validStatus) {
-      throw new Error(
-        `Invalid status in trigger condition: ${trigger.condition.value}`
-      );
-    }
-  }
-
-  // Validate action params
-  if (action.type === "change_status" && action.params?.status) {
-    // Check if the status exists in the project
-    const validStatus = project.statuses.some(
-      (s) => s.name === action.params.status
-    );
-    if (!validStatus) {
-      throw new Error(
-        `Invalid status in action params: ${action.params.status}`
-      );
-    }
-  }
 
-  // Additional validations can be added here
-};
+  sendSuccess(res, {
+    automation,
+    message: `Automation ${
+      automation.active ? "enabled" : "disabled"
+    } successfully`,
+  });
+});
 
 module.exports = {
   createAutomation,
@@ -0,0 +1,128 @@
+// controllers/checklistController.js
+const asyncHandler = require("express-async-handler");
+const { emitToProject } = require("../websocket/socket");
+const {
+  ERROR_CODES,
+  NotFoundError,
+  sendSuccess,
+} = require("../utils/apiResponse");
+const { snapshot, auditTarget, recordAudit } = require("../utils/audit");
+
+// Checklist item fields compared in the audit log
+const ITEM_FIELDS = ["_id", "text", "done"];
+
+// Find a checklist item on the task loaded by requirePermission
+const findChecklistItem = (task, itemId) => {
+  const item = task.checklist.id(itemId);
+
+  if (!item) {
+    throw new NotFoundError(
+      "Checklist item not found",
+      ERROR_CODES.CHECKLIST_ITEM_NOT_FOUND
+    );
+  }
+
+  return item;
+};
+
+/**
+ * @desc    Add a checklist item to a task
+ * @route   POST /api/tasks/:taskId/checklist
+ * @access  Private (task:update - owners and editors)
+ */
+const addChecklistItem = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  task.checklist.push({ text: req.body.text, createdAt: Date.now() });
+  await task.save();
+
+  const item = task.checklist[task.checklist.length - 1];
+
+  await recordAudit(req, {
+    action: "checklist.item_added",
+    target: auditTarget("task", task),
+    after: snapshot(item, ITEM_FIELDS),
+  });
+
+  emitToProject(task.project, "task:checklist_updated", {
+    taskId: task._id,
+    checklist: task.checklist,
+  });
+
+  sendSuccess(res, { item, checklist: task.checklist }, { statusCode: 201 });
+});
+
+/**
+ * @desc    Update the text or done state of a checklist item
+ * @route   PUT /api/tasks/:taskId/checklist/:itemId
+ * @access  Private (task:update - owners and editors)
+ */
+const updateChecklistItem = asyncHandler(async (req, res) => {
+  const task = req.task;
+  const { text, done } = req.body;
+
+  const item = findChecklistItem(task, req.params.itemId);
+  const before = snapshot(item, ITEM_FIELDS);
+
+  if (text) item.text = text;
+
+  if (done !== undefined && done !== item.done) {
+    item.done = done;
+    item.completedBy = done ? req.user.id : undefined;
+    item.completedAt = done ? Date.now() : undefined;
+  }
+
+  await task.save();
+
+  await recordAudit(req, {
+    action: "checklist.item_updated",
+    target: auditTarget("task", task),
+    before,
+    after: snapshot(item, ITEM_FIELDS),
+  });
+
+  emitToProject(task.project, "task:checklist_updated", {
+    taskId: task._id,
+    checklist: task.checklist,
+  });
+
+  sendSuccess(res, { item, checklist: task.checklist });
+});
+
+/**
+ * @desc    Remove a checklist item from a task
+ * @route   DELETE /api/tasks/:taskId/checklist/:itemId
+ * @access  Private (task:update - owners and editors)
+ */
+const deleteChecklistItem = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  const item = findChecklistItem(task, req.params.itemId);
+  const before = snapshot(item, ITEM_FIELDS);
+
+  item.deleteOne();
+  await task.save();
+
+  await recordAudit(req, {
+    action: "checklist.item_deleted",
+    target: auditTarget("task", task),
+    before,
+  });
+
+  emitToProject(task.project, "task:checklist_updated", {
+    taskId: task._id,
+    checklist: task.checklist,
+  });
+
+  sendSuccess(
+    res,
+    { checklist: task.checklist },
+    { message: "Checklist item deleted successfully" }
+  );
+});
+
+module.exports = {
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+};
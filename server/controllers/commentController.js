@@ -0,0 +1,338 @@
+// controllers/commentController.js
+const asyncHandler = require("express-async-handler");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+const Notification = require("../models/Notification");
+const Mention = require("../models/Mention");
+const { emitToProject } = require("../websocket/socket");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  buildPagination,
+  parsePagination,
+  sendPaginated,
+  sendSuccess,
+} = require("../utils/apiResponse");
+const { auditTarget, recordAudit } = require("../utils/audit");
+const { resolveMentions, recordMentions } = require("../utils/mentions");
+
+const AUTHOR_FIELDS = "name email avatarUrl";
+
+/**
+ * Find a comment on the task loaded by requirePermission
+ * Deleted placeholders are only returned with { deleted: true }
+ */
+const findComment = async (task, commentId, { deleted = false } = {}) => {
+  const comment = await Comment.findOne({ _id: commentId, task: task._id });
+
+  if (!comment || (comment.deletedAt && !deleted)) {
+    throw new NotFoundError("Comment not found", ERROR_CODES.COMMENT_NOT_FOUND);
+  }
+
+  return comment;
+};
+
+/**
+ * @desc    Get the comments of a task, oldest thread first, with replies
+ * @route   GET /api/tasks/:taskId/comments
+ * @access  Private (task:read)
+ */
+const getTaskComments = asyncHandler(async (req, res) => {
+  const task = req.task;
+  const { page, limit, skip } = parsePagination(req.query);
+
+  // Pages are made of top-level comments; each one brings its replies
+  const filter = { task: task._id, parent: null };
+
+  const threads = await Comment.find(filter)
+    .sort({ createdAt: 1, _id: 1 })
+    .skip(skip)
+    .limit(limit)
+    .select("-edits")
+    .populate("user", AUTHOR_FIELDS)
+    .populate("mentions", "name email")
+    .lean();
+
+  const replies = await Comment.find({
+    parent: { $in: threads.map((thread) => thread._id) },
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .select("-edits")
+    .populate("user", AUTHOR_FIELDS)
+    .populate("mentions", "name email")
+    .lean();
+
+  const comments = threads.map((thread) => {
+    const threadReplies = replies.filter(
+      (reply) => reply.parent.toString() === thread._id.toString()
+    );
+    return {
+      ...thread,
+      replies: threadReplies,
+      replyCount: threadReplies.length,
+    };
+  });
+
+  const totalThreads = await Comment.countDocuments(filter);
+
+  sendPaginated(
+    res,
+    { comments },
+    {
+      count: comments.length,
+      pagination: buildPagination({ page, limit, totalItems: totalThreads }),
+    }
+  );
+});
+
+/**
+ * @desc    Get a comment with its edit history
+ * @route   GET /api/tasks/:taskId/comments/:commentId
+ * @access  Private (task:read)
+ */
+const getTaskComment = asyncHandler(async (req, res) => {
+  const comment = await findComment(req.task, req.params.commentId, {
+    deleted: true,
+  });
+
+  await comment.populate([
+    { path: "user", select: AUTHOR_FIELDS },
+    { path: "mentions", select: "name email" },
+  ]);
+
+  sendSuccess(res, { comment });
+});
+
+/**
+ * @desc    Add a comment to a task, or a reply with body.parent
+ * @route   POST /api/tasks/:taskId/comments
+ * @access  Private (task:comment - owners and editors)
+ */
+const addTaskComment = asyncHandler(async (req, res) => {
+  const taskId = req.params.taskId;
+  const { text, parent } = req.body;
+
+  if (!text || text.trim() === "") {
+    throw new BadRequestError(
+      "Comment text is required",
+      ERROR_CODES.COMMENT_REQUIRED
+    );
+  }
+
+  // The task and project were loaded by the requirePermission middleware
+  const task = req.task;
+
+  // Replies to a reply join the thread of its top-level comment
+  let parentComment = null;
+  if (parent) {
+    parentComment = await findComment(task, parent, { deleted: true });
+    if (parentComment.parent) {
+      parentComment = await findComment(task, parentComment.parent, {
+        deleted: true,
+      });
+    }
+  }
+
+  const comment = await Comment.create({
+    task: task._id,
+    project: task.project,
+    user: req.user.id,
+    text,
+    parent: parentComment ? parentComment._id : null,
+    mentions: await resolveMentions(req.project, text),
+  });
+
+  // Add to history
+  task.history.push({
+    user: req.user.id,
+    action: "commented",
+    timestamp: Date.now(),
+  });
+
+  await task.save();
+
+  const updatedTask = await Task.findById(taskId)
+    .populate("assignee", "name email avatarUrl")
+    .populate("creator", "name email avatarUrl");
+
+  const newComment = await comment.populate("user", AUTHOR_FIELDS);
+
+  await recordAudit(req, {
+    action: "comment.added",
+    target: auditTarget("task", task),
+    after: {
+      comment: comment._id.toString(),
+      parent: parentComment ? parentComment._id.toString() : null,
+      text,
+    },
+  });
+
+  // Broadcast to project members
+  emitToProject(task.project, "task:commented", {
+    taskId: task._id,
+    comment: newComment,
+  });
+
+  // Notify the task assignee (if different from commenter)
+  if (task.assignee && task.assignee.toString() !== req.user.id) {
+    await Notification.create({
+      recipient: task.assignee,
+      type: "task_comment",
+      message: `New comment on task "${task.title}"`,
+      relatedProject: task.project,
+      relatedTask: task._id,
+    });
+  }
+
+  // Notify the author of the thread, unless already notified above
+  const threadAuthor = parentComment && parentComment.user.toString();
+  if (
+    threadAuthor &&
+    threadAuthor !== req.user.id &&
+    threadAuthor !== (task.assignee && task.assignee.toString())
+  ) {
+    await Notification.create({
+      recipient: threadAuthor,
+      type: "task_comment",
+      message: `New reply to your comment on task "${task.title}"`,
+      relatedProject: task.project,
+      relatedTask: task._id,
+    });
+  }
+
+  // Notify the members mentioned in the comment
+  await recordMentions({
+    task,
+    comment,
+    userIds: comment.mentions,
+    mentionedBy: req.user.id,
+  });
+
+  sendSuccess(res, {
+    task: updatedTask,
+    newComment,
+  });
+});
+
+/**
+ * @desc    Edit a comment; the previous text is kept in its edit history
+ * @route   PUT /api/tasks/:taskId/comments/:commentId
+ * @access  Private (task:comment - comment author only)
+ */
+const updateTaskComment = asyncHandler(async (req, res) => {
+  const task = req.task;
+  const { text } = req.body;
+
+  const comment = await findComment(task, req.params.commentId);
+
+  if (comment.user.toString() !== req.user.id) {
+    throw new ForbiddenError(
+      "Access denied: Only the author can edit a comment",
+      ERROR_CODES.NOT_COMMENT_AUTHOR
+    );
+  }
+
+  const before = { comment: comment._id.toString(), text: comment.text };
+
+  if (text !== comment.text) {
+    comment.edits.push({ text: comment.text, replacedAt: Date.now() });
+    comment.text = text;
+    comment.editedAt = Date.now();
+    comment.mentions = await resolveMentions(req.project, text);
+    await comment.save();
+
+    // Only members mentioned by this edit are notified
+    await recordMentions({
+      task,
+      comment,
+      userIds: comment.mentions,
+      mentionedBy: req.user.id,
+    });
+  }
+
+  await comment.populate("user", AUTHOR_FIELDS);
+
+  await recordAudit(req, {
+    action: "comment.updated",
+    target: auditTarget("task", task),
+    before,
+    after: { comment: comment._id.toString(), text: comment.text },
+  });
+
+  emitToProject(task.project, "task:comment_updated", {
+    taskId: task._id,
+    comment,
+  });
+
+  sendSuccess(res, { comment });
+});
+
+/**
+ * @desc    Delete a comment; one with replies stays as an empty placeholder
+ * @route   DELETE /api/tasks/:taskId/comments/:commentId
+ * @access  Private (task:comment - comment author or project owner)
+ */
+const deleteTaskComment = asyncHandler(async (req, res) => {
+  const task = req.task;
+
+  const comment = await findComment(task, req.params.commentId);
+
+  if (comment.user.toString() !== req.user.id && req.memberRole !== "owner") {
+    throw new ForbiddenError(
+      "Access denied: Only the author or the project owner can delete a comment",
+      ERROR_CODES.NOT_COMMENT_AUTHOR
+    );
+  }
+
+  const before = { comment: comment._id.toString(), text: comment.text };
+  const hasReplies = await Comment.exists({ parent: comment._id });
+
+  if (hasReplies) {
+    // Keep the thread together, but drop the text and its edits
+    comment.text = "";
+    comment.edits = [];
+    comment.mentions = [];
+    comment.deletedAt = Date.now();
+    comment.deletedBy = req.user.id;
+    await comment.save();
+  } else {
+    await comment.deleteOne();
+
+    // A deleted thread start goes too once its last reply is gone
+    if (comment.parent) {
+      const repliesLeft = await Comment.exists({ parent: comment.parent });
+      if (!repliesLeft) {
+        await Comment.deleteOne({
+          _id: comment.parent,
+          deletedAt: { $ne: null },
+        });
+      }
+    }
+  }
+
+  await Mention.deleteMany({ comment: comment._id });
+
+  await recordAudit(req, {
+    action: "comment.deleted",
+    target: auditTarget("task", task),
+    before,
+  });
+
+  emitToProject(task.project, "task:comment_deleted", {
+    taskId: task._id,
+    commentId: comment._id,
+    placeholder: Boolean(hasReplies),
+  });
+
+  sendSuccess(res, null, { message: "Comment deleted successfully" });
+});
+
+module.exports = {
+  getTaskComments,
+  getTaskComment,
+  addTaskComment,
+  updateTaskComment,
+  deleteTaskComment,
+};
@@ -0,0 +1,231 @@
+// controllers/dependencyController.js
+const asyncHandler = require("express-async-handler");
+const Task = require("../models/Task");
+const { emitToProject } = require("../websocket/socket");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  NotFoundError,
+  sendSuccess,
+} = require("../utils/apiResponse");
+const {
+  buildGraph,
+  createsCycle,
+  findCriticalPath,
+  getOpenBlockers,
+} = require("../utils/dependencies");
+const { snapshot, auditTarget, recordAudit } = require("../utils/audit");
+
+const TASK_SUMMARY_FIELDS = "_id title status assignee dueDate priority";
+
+/**
+ * Check whether blocked already (transitively) blocks blocker, in which case
+ * a "blocker blocks blocked" link closes a loop. Archived tasks keep their
+ * links and can be restored, so they are part of the graph
+ */
+const wouldCreateCycle = async (blocker, blocked) => {
+  const projectTasks = await Task.find({ project: blocker.project })
+    .withArchived()
+    .select("_id blocks");
+
+  return createsCycle(buildGraph(projectTasks), blocker._id, blocked._id);
+};
+
+const cycleError = (blocker, blocked) =>
+  new BadRequestError(
+    `Adding this dependency would create a cycle between "${blocker.title}" and "${blocked.title}"`,
+    ERROR_CODES.DEPENDENCY_CYCLE
+  );
+
+/**
+ * @desc    Get the blockers and blocked tasks of a task
+ * @route   GET /api/tasks/:taskId/dependencies
+ * @access  Private (task:read)
+ */
+const getTaskDependencies = asyncHandler(async (req, res) => {
+  // The task was loaded and access-checked by requirePermission
+  const task = await Task.findById(req.task._id)
+    .populate("blockedBy", TASK_SUMMARY_FIELDS)
+    .populate("blocks", TASK_SUMMARY_FIELDS);
+
+  const openBlockers = await getOpenBlockers(req.task, req.project);
+
+  sendSuccess(res, {
+    blockedBy: task.blockedBy,
+    blocks: task.blocks,
+    isBlocked: openBlockers.length > 0,
+  });
+});
+
+/**
+ * @desc    Add a dependency between two tasks of the same project
+ * @route   POST /api/tasks/:taskId/dependencies
+ * @access  Private (task:update - owners and editors)
+ */
+const addTaskDependency = asyncHandler(async (req, res) => {
+  // type "blocked_by": the other task blocks this one; "blocks": the reverse
+  const { taskId: otherId, type = "blocked_by" } = req.body;
+  const task = req.task;
+
+  if (otherId === task._id.toString()) {
+    throw new BadRequestError(
+      "A task cannot depend on itself",
+      ERROR_CODES.INVALID_DEPENDENCY
+    );
+  }
+
+  const otherTask = await Task.findById(otherId);
+
+  if (!otherTask) {
+    throw new NotFoundError("Task not found", ERROR_CODES.TASK_NOT_FOUND);
+  }
+
+  if (otherTask.project.toString() !== task.project.toString()) {
+    throw new BadRequestError(
+      "Dependencies can only link tasks in the same project",
+      ERROR_CODES.INVALID_DEPENDENCY
+    );
+  }
+
+  const [blocker, blocked] =
+    type === "blocks" ? [task, otherTask] : [otherTask, task];
+
+  if (blocked.blockedBy.some((id) => id.equals(blocker._id))) {
+    throw new BadRequestError(
+      "This dependency already exists",
+      ERROR_CODES.INVALID_DEPENDENCY
+    );
+  }
+
+  if (await wouldCreateCycle(blocker, blocked)) {
+    throw cycleError(blocker, blocked);
+  }
+
+  // Keep both sides of the link in sync
+  await Task.updateOne(
+    { _id: blocked._id },
+    { $addToSet: { blockedBy: blocker._id } }
+  );
+  await Task.updateOne(
+    { _id: blocker._id },
+    { $addToSet: { blocks: blocked._id } }
+  );
+
+  // A concurrent request may have added the reverse path between the check
+  // and the write; check again and take the link back if it closed a loop
+  if (await wouldCreateCycle(blocker, blocked)) {
+    await Task.updateOne(
+      { _id: blocked._id },
+      { $pull: { blockedBy: blocker._id } }
+    );
+    await Task.updateOne(
+      { _id: blocker._id },
+      { $pull: { blocks: blocked._id } }
+    );
+
+    throw cycleError(blocker, blocked);
+  }
+
+  const dependency = { blocker: blocker._id, blocked: blocked._id };
+
+  await recordAudit(req, {
+    action: "dependency.added",
+    target: auditTarget("task", task),
+    after: snapshot(dependency, ["blocker", "blocked"]),
+  });
+
+  emitToProject(task.project, "task:dependency_added", dependency);
+
+  sendSuccess(res, { dependency }, { statusCode: 201 });
+});
+
+/**
+ * @desc    Remove a dependency in either direction
+ * @route   DELETE /api/tasks/:taskId/dependencies/:dependencyId
+ * @access  Private (task:update - owners and editors)
+ */
+const removeTaskDependency = asyncHandler(async (req, res) => {
+  const task = req.task;
+  const otherId = req.params.dependencyId;
+
+  const isBlockedBy = task.blockedBy.some((id) => id.toString() === otherId);
+  const isBlocking = task.blocks.some((id) => id.toString() === otherId);
+
+  if (!isBlockedBy && !isBlocking) {
+    throw new NotFoundError(
+      "Dependency not found",
+      ERROR_CODES.INVALID_DEPENDENCY
+    );
+  }
+
+  // Remove the link from both tasks, whichever direction it had
+  await Task.updateOne(
+    { _id: task._id },
+    { $pull: { blockedBy: otherId, blocks: otherId } }
+  );
+  await Task.updateOne(
+    { _id: otherId },
+    { $pull: { blockedBy: task._id, blocks: task._id } }
+  );
+
+  await recordAudit(req, {
+    action: "dependency.removed",
+    target: auditTarget("task", task),
+    before: isBlockedBy
+      ? { blocker: otherId, blocked: task._id.toString() }
+      : { blocker: task._id.toString(), blocked: otherId },
+  });
+
+  emitToProject(task.project, "task:dependency_removed", {
+    taskId: task._id,
+    dependencyId: otherId,
+  });
+
+  sendSuccess(res, null, { message: "Dependency removed successfully" });
+});
+
+/**
+ * @desc    Get the dependency graph and critical path of a project
+ * @route   GET /api/projects/:projectId/dependencies
+ * @access  Private (task:read)
+ */
+const getProjectDependencyGraph = asyncHandler(async (req, res) => {
+  const project = req.project;
+
+  const tasks = await Task.find({ project: project._id })
+    .select(`${TASK_SUMMARY_FIELDS} blocks blockedBy`)
+    .populate("assignee", "name email avatarUrl");
+
+  const finalStatuses = project.getFinalStatuses();
+
+  const nodes = tasks.map((task) => ({
+    _id: task._id,
+    title: task.title,
+    status: task.status,
+    assignee: task.assignee,
+    dueDate: task.dueDate,
+    priority: task.priority,
+    isFinal: finalStatuses.includes(task.status),
+  }));
+
+  // One edge per link: "from" blocks "to"; links to archived tasks are left out
+  const taskIds = new Set(tasks.map((task) => task._id.toString()));
+  const edges = tasks.flatMap((task) =>
+    task.blocks
+      .filter((blockedId) => taskIds.has(blockedId.toString()))
+      .map((blockedId) => ({ from: task._id, to: blockedId }))
+  );
+
+  sendSuccess(res, {
+    nodes,
+    edges,
+    criticalPath: findCriticalPath(tasks, finalStatuses),
+  });
+});
+
+module.exports = {
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+  getProjectDependencyGraph,
+};
@@ -0,0 +1,93 @@
+// controllers/mentionController.js
+const asyncHandler = require("express-async-handler");
+const Mention = require("../models/Mention");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const {
+  buildPagination,
+  parsePagination,
+  sendPaginated,
+} = require("../utils/apiResponse");
+const {
+  applyCursor,
+  buildCursorPage,
+  withNextCursor,
+} = require("../utils/cursor");
+
+// Populate the task, comment and author of a mentions query
+const populateMentions = (query) =>
+  query
+    .populate("project", "title")
+    .populate("task", "title status")
+    .populate("comment", "text createdAt")
+    .populate("mentionedBy", "name email avatarUrl");
+
+/**
+ * @desc    Get where the current user was mentioned, newest first
+ * @route   GET /api/mentions
+ * @access  Private
+ */
+const getUserMentions = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  // Only mentions in projects the user is still a member of
+  const memberProjects = await Project.find({ "members.user": req.user.id })
+    .select("_id")
+    .lean();
+  let projectIds = memberProjects.map((p) => p._id);
+
+  if (req.query.project) {
+    projectIds = projectIds.filter((id) => id.toString() === req.query.project);
+  }
+
+  // Mentions on tasks in the trash are left out until they are restored
+  const archivedTaskIds = await Task.find({
+    project: { $in: projectIds },
+    archivedAt: { $ne: null },
+  }).distinct("_id");
+
+  const filter = {
+    user: req.user.id,
+    project: { $in: projectIds },
+    task: { $nin: archivedTaskIds },
+  };
+  if (req.query.source) filter.source = req.query.source;
+
+  // Newest first, _id breaks ties between identical timestamps
+  const sort = { createdAt: -1, _id: -1 };
+
+  // ?after=<cursor> pages by position; otherwise page numbers are used
+  let mentions;
+  let pagination;
+
+  if (req.query.after) {
+    const results = await populateMentions(
+      Mention.find(applyCursor(filter, sort, req.query.after))
+        .sort(sort)
+        .limit(limit + 1)
+    );
+
+    ({ items: mentions, pagination } = buildCursorPage(results, {
+      limit,
+      sort,
+    }));
+  } else {
+    mentions = await populateMentions(
+      Mention.find(filter).sort(sort).skip(skip).limit(limit)
+    );
+
+    const totalMentions = await Mention.countDocuments(filter);
+
+    pagination = withNextCursor(
+      buildPagination({ page, limit, totalItems: totalMentions }),
+      mentions,
+      sort
+    );
+  }
+
+  sendPaginated(res, { mentions }, { count: mentions.length, pagination });
+});
+
+module.exports = {
+  getUserMentions,
+};
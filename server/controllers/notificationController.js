@@ -1,6 +1,20 @@
 // controllers/notificationController.js
 const asyncHandler = require("express-async-handler");
 const Notification = require("../models/Notification");
+const {
+  ERROR_CODES,
+  ForbiddenError,
+  NotFoundError,
+  buildPagination,
+  parsePagination,
+  sendPaginated,
+  sendSuccess,
+} = require("../utils/apiResponse");
+const {
+  applyCursor,
+  buildCursorPage,
+  withNextCursor,
+} = require("../utils/cursor");
 
 /**
  * @desc    Get all notifications for the current user
@@ -9,9 +23,7 @@ const Notification = require("../models/Notification");
  */
 const getUserNotifications = asyncHandler(async (req, res) => {
   // Pagination options
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 20;
-  const skip = (page - 1) * limit;
+  const { page, limit, skip } = parsePagination(req.query);
   const readFilter =
     req.query.read === "true"
       ? true
@@ -23,16 +35,47 @@ const getUserNotifications = asyncHandler(async (req, res) => {
   const filter = { recipient: req.user.id };
   if (readFilter !== null) filter.read = readFilter;
 
-  // Get notifications with pagination
-  const notifications = await Notification.find(filter)
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit)
-    .populate("relatedProject", "title")
-    .populate("relatedTask", "title");
+  // Newest first, _id breaks ties between identical timestamps
+  const sort = { createdAt: -1, _id: -1 };
 
-  // Get total count for pagination
-  const totalNotifications = await Notification.countDocuments(filter);
+  // ?after=<cursor> pages by position; otherwise page numbers are used
+  let notifications;
+  let pagination;
+
+  if (req.query.after) {
+    const results = await Notification.find(
+      applyCursor(filter, sort, req.query.after)
+    )
+      .sort(sort)
+      .limit(limit + 1)
+      .populate("relatedProject", "title")
+      .populate("relatedTask", "title");
+
+    ({ items: notifications, pagination } = buildCursorPage(results, {
+      limit,
+      sort,
+    }));
+  } else {
+    notifications = await Notification.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate("relatedProject", "title")
+      .populate("relatedTask", "title");
+
+    // Get total count for pagination
+    const totalNotifications = await Notification.countDocuments(filter);
+
+    pagination = withNextCursor(
+      buildPagination({
+        page,
+        limit,
+        totalItems: totalNotifications,
+      }),
+      notifications,
+      sort
+    );
+  }
 
   // Get count of unread notifications
   const unreadCount = await Notification.countDocuments({
@@ -40,18 +83,15 @@ const getUserNotifications = asyncHandler(async (req, res) => {
     read: false,
   });
 
-  res.status(200).json({
-    success: true,
-    count: notifications.length,
-    unreadCount,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(totalNotifications / limit),
-      totalItems: totalNotifications,
-    },
-    data: { notifications },
-  });
+  sendPaginated(
+    res,
+    { notifications },
+    {
+      count: notifications.length,
+      pagination,
+      meta: { unreadCount },
+    }
+  );
 });
 
 /**
@@ -65,24 +105,25 @@ const markNotificationAsRead = asyncHandler(async (req, res) => {
   const notification = await Notification.findById(notificationId);
 
   if (!notification) {
-    res.status(404);
-    throw new Error("Notification not found");
+    throw new NotFoundError(
+      "Notification not found",
+      ERROR_CODES.NOTIFICATION_NOT_FOUND
+    );
   }
 
   // Verify notification belongs to current user
   if (notification.recipient.toString() !== req.user.id) {
-    res.status(403);
-    throw new Error("Not authorized to access this notification");
+    throw new ForbiddenError(
+      "Not authorized to access this notification",
+      ERROR_CODES.FORBIDDEN
+    );
   }
 
   // Update notification to read
   notification.read = true;
   await notification.save();
 
-  res.status(200).json({
-    success: true,
-    data: { notification },
-  });
+  sendSuccess(res, { notification });
 });
 
 /**
@@ -97,10 +138,8 @@ const markAllNotificationsAsRead = asyncHandler(async (req, res) => {
     { read: true }
   );
 
-  res.status(200).json({
-    success: true,
+  sendSuccess(res, null, {
     message: `Marked ${result.modifiedCount} notifications as read`,
-    data: null,
   });
 });
 
@@ -115,24 +154,24 @@ const deleteNotification = asyncHandler(async (req, res) => {
   const notification = await Notification.findById(notificationId);
 
   if (!notification) {
-    res.status(404);
-    throw new Error("Notification not found");
+    throw new NotFoundError(
+      "Notification not found",
+      ERROR_CODES.NOTIFICATION_NOT_FOUND
+    );
   }
 
   // Verify notification belongs to current user
   if (notification.recipient.toString() !== req.user.id) {
-    res.status(403);
-    throw new Error("Not authorized to access this notification");
+    throw new ForbiddenError(
+      "Not authorized to access this notification",
+      ERROR_CODES.FORBIDDEN
+    );
   }
 
   // Delete notification
   await notification.deleteOne();
 
-  res.status(200).json({
-    success: true,
-    message: "Notification deleted successfully",
-    data: null,
-  });
+  sendSuccess(res, null, { message: "Notification deleted successfully" });
 });
 
 module.exports = {
@@ -4,8 +4,30 @@ const mongoose = require("mongoose");
 const Project = require("../models/Project");
 const User = require("../models/User");
 const Task = require("../models/Task");
-const Automation = require("../models/Automation");
 const Notification = require("../models/Notification");
+const { emitToProject, removeUserFromProject } = require("../websocket/socket");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  sendSuccess,
+} = require("../utils/apiResponse");
+const { assertValidStatus, validateWorkflow } = require("../utils/validators");
+const { migrateStatus } = require("../utils/statusMigration");
+const { getWipReport, resolveWipOverride } = require("../utils/wipLimits");
+const { duplicateProject } = require("../utils/projectClone");
+const { getRetentionDays, getPurgeDate } = require("../utils/trash");
+const {
+  AUDITED_FIELDS,
+  snapshot,
+  auditTarget,
+  recordAudit,
+} = require("../utils/audit");
+const {
+  findTemplateForUser,
+  createProjectFromTemplate,
+} = require("../utils/templates");
 
 /**
  * @desc    Create a new project
@@ -13,20 +35,55 @@ const Notification = require("../models/Notification");
  * @access  Private
  */
 const createProject = asyncHandler(async (req, res) => {
-  const { title, description, statuses } = req.body;
+  const { title, description, statuses, transitions, template, variables } =
+    req.body;
+
+  // Start from a template: statuses, workflow, automations and starter tasks
+  if (template) {
+    const projectTemplate = await findTemplateForUser(template, req.user.id);
+
+    const { project, tasksCreated, automationsCreated, skippedAutomations } =
+      await createProjectFromTemplate(projectTemplate, {
+        title,
+        description,
+        userId: req.user.id,
+        variables,
+      });
+
+    await recordAudit(req, {
+      project: project._id,
+      action: "project.created",
+      target: auditTarget("project", project),
+      after: snapshot(project, AUDITED_FIELDS.project),
+    });
+
+    return sendSuccess(
+      res,
+      { project, tasksCreated, automationsCreated, skippedAutomations },
+      { statusCode: 201 }
+    );
+  }
 
   // Create project with owner set to current user
-  const project = await Project.create({
+  const project = new Project({
     title,
     description,
     owner: req.user.id,
     statuses: statuses || undefined, // Use default statuses if not provided
+    transitions,
   });
 
-  res.status(201).json({
-    success: true,
-    data: { project },
+  validateWorkflow(project);
+  await project.save();
+
+  await recordAudit(req, {
+    project: project._id,
+    action: "project.created",
+    target: auditTarget("project", project),
+    after: snapshot(project, AUDITED_FIELDS.project),
   });
+
+  sendSuccess(res, { project }, { statusCode: 201 });
 });
 
 /**
@@ -43,20 +100,16 @@ const getUserProjects = asyncHandler(async (req, res) => {
     .populate("members.user", "name email avatarUrl")
     .select("-__v");
 
-  res.status(200).json({
-    success: true,
-    count: projects.length,
-    data: { projects },
-  });
+  sendSuccess(res, { projects }, { meta: { count: projects.length } });
 });
 
 /**
  * @desc    Get a project by ID
  * @route   GET /api/projects/:projectId
- * @access  Private (Project members only)
+ * @access  Private (project:read)
  */
 const getProjectById = asyncHandler(async (req, res) => {
-  // The project is already attached to req by projectAccess middleware
+  // The project is already attached to req by requirePermission middleware
   const project = await Project.findById(req.project._id)
     .populate("owner", "name email avatarUrl")
     .populate("members.user", "name email avatarUrl")
@@ -65,13 +118,14 @@ const getProjectById = asyncHandler(async (req, res) => {
   // Get task count for project
   const taskCount = await Task.countDocuments({ project: project._id });
 
-  res.status(200).json({
-    success: true,
-    data: {
-      project,
-      stats: {
-        taskCount,
-      },
+  // Tasks per status against the WIP limits
+  const wip = await getWipReport(project);
+
+  sendSuccess(res, {
+    project,
+    stats: {
+      taskCount,
+      wip,
     },
   });
 });
@@ -79,13 +133,14 @@ const getProjectById = asyncHandler(async (req, res) => {
 /**
  * @desc    Update a project
  * @route   PUT /api/projects/:projectId
- * @access  Private (Project owner only)
+ * @access  Private (project:update - owner only)
  */
 const updateProject = asyncHandler(async (req, res) => {
-  const { title, description, statuses } = req.body;
+  const { title, description, statuses, transitions } = req.body;
 
-  // The project is already attached to req by projectOwner middleware
+  // The project is already attached to req by requirePermission middleware
   const project = req.project;
+  const before = snapshot(project, AUDITED_FIELDS.project);
 
   // Update fields if provided
   if (title) project.title = title;
@@ -102,89 +157,302 @@ const updateProject = asyncHandler(async (req, res) => {
     });
 
     if (tasksWithInvalidStatuses.length > 0) {
-      res.status(400);
-      throw new Error(
-        `Cannot remove statuses that are still in use by tasks. ${tasksWithInvalidStatuses.length} tasks would be affected.`
+      throw new BadRequestError(
+        `Cannot remove statuses that are still in use by tasks. ${tasksWithInvalidStatuses.length} tasks would be affected. Rename or merge the status instead.`,
+        ERROR_CODES.STATUS_IN_USE
       );
     }
 
     project.statuses = statuses;
   }
 
+  if (transitions) project.transitions = transitions;
+
+  // Transitions must still match the statuses after either changes
+  if (statuses || transitions) validateWorkflow(project);
+
   // Save the updated project
   const updatedProject = await project.save();
 
-  res.status(200).json({
-    success: true,
-    data: { project: updatedProject },
+  await recordAudit(req, {
+    action: "project.updated",
+    target: auditTarget("project", project),
+    before,
+    after: snapshot(updatedProject, AUDITED_FIELDS.project),
   });
+
+  // Broadcast to project members
+  emitToProject(project._id, "project:updated", { project: updatedProject });
+
+  sendSuccess(res, { project: updatedProject });
 });
 
 /**
- * @desc    Delete a project
+ * @desc    Rename a status and migrate tasks, automations and views to it
+ * @route   PUT /api/projects/:projectId/statuses/:statusName
+ * @access  Private (project:update - owner only)
+ */
+const renameProjectStatus = asyncHandler(async (req, res) => {
+  const { statusName } = req.params;
+  const { name } = req.body;
+  const project = req.project;
+
+  assertValidStatus(project, statusName);
+
+  if (project.statuses.some((s) => s.name === name)) {
+    throw new ConflictError(
+      `Status "${name}" already exists. Merge the statuses instead.`,
+      ERROR_CODES.STATUS_EXISTS
+    );
+  }
+
+  const result = await migrateStatus(project, statusName, name, req.user.id);
+
+  await recordAudit(req, {
+    action: "status.renamed",
+    target: auditTarget("project", project),
+    before: { status: statusName },
+    after: { status: name },
+  });
+
+  // Broadcast to project members so boards reload the affected tasks
+  emitToProject(project._id, "project:status_migrated", {
+    projectId: project._id,
+    from: statusName,
+    to: name,
+    ...result,
+  });
+
+  sendSuccess(res, { project, ...result });
+});
+
+/**
+ * @desc    Merge a status into another one, moving its tasks over
+ * @route   POST /api/projects/:projectId/statuses/:statusName/merge
+ * @access  Private (project:update - owner only)
+ */
+const mergeProjectStatus = asyncHandler(async (req, res) => {
+  const { statusName } = req.params;
+  const { into, overrideWipLimit } = req.body;
+  const project = req.project;
+
+  assertValidStatus(project, statusName);
+  assertValidStatus(project, into, "merge target");
+
+  if (statusName === into) {
+    throw new BadRequestError(
+      "A status cannot be merged into itself",
+      ERROR_CODES.INVALID_STATUS
+    );
+  }
+
+  // Tasks moved by the merge respect blockers and the target's WIP limits
+  const result = await migrateStatus(project, statusName, into, req.user.id, {
+    overrideWipLimit: resolveWipOverride(overrideWipLimit, req.memberRole),
+  });
+
+  await recordAudit(req, {
+    action: "status.merged",
+    target: auditTarget("project", project),
+    before: { status: statusName },
+    after: { status: into },
+  });
+
+  // Broadcast to project members so boards reload the affected tasks
+  emitToProject(project._id, "project:status_migrated", {
+    projectId: project._id,
+    from: statusName,
+    to: into,
+    ...result,
+  });
+
+  sendSuccess(res, { project, ...result });
+});
+
+/**
+ * @desc    Move a project to the trash
  * @route   DELETE /api/projects/:projectId
- * @access  Private (Project owner only)
+ * @access  Private (project:delete - owner only)
  */
 const deleteProject = asyncHandler(async (req, res) => {
-  const projectId = req.params.projectId;
+  const project = req.project;
 
-  // Start a session for transaction
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  // Tasks, automations and notifications stay until the project is purged
+  project.archivedAt = new Date();
+  project.archivedBy = req.user.id;
+  await project.save();
 
-  try {
-    // Delete all tasks in this project
-    await Task.deleteMany({ project: projectId }, { session });
+  await recordAudit(req, {
+    action: "project.archived",
+    target: auditTarget("project", project),
+    before: { archivedAt: null },
+    after: { archivedAt: project.archivedAt },
+  });
 
-    // Delete all automations for this project
-    await Automation.deleteMany({ project: projectId }, { session });
+  // Broadcast to project members
+  emitToProject(project._id, "project:deleted", {
+    projectId: project._id,
+    archived: true,
+  });
 
-    // Delete all notifications related to this project
-    await Notification.deleteMany({ relatedProject: projectId }, { session });
+  sendSuccess(
+    res,
+    { purgeAt: getPurgeDate(project.archivedAt) },
+    { message: "Project moved to trash" }
+  );
+});
 
-    // Delete the project itself
-    await Project.findByIdAndDelete(projectId, { session });
+/**
+ * @desc    Get the user's archived projects
+ * @route   GET /api/projects/trash
+ * @access  Private
+ */
+const getTrashedProjects = asyncHandler(async (req, res) => {
+  const projects = await Project.find({
+    owner: req.user.id,
+    archivedAt: { $ne: null },
+  })
+    .populate("archivedBy", "name email avatarUrl")
+    .select("-__v")
+    .sort({ archivedAt: -1 });
+
+  sendSuccess(
+    res,
+    {
+      projects: projects.map((project) => ({
+        ...project.toObject(),
+        purgeAt: getPurgeDate(project.archivedAt),
+      })),
+    },
+    { meta: { count: projects.length, retentionDays: getRetentionDays() } }
+  );
+});
 
-    // Commit the transaction
-    await session.commitTransaction();
+/**
+ * @desc    Restore an archived project
+ * @route   POST /api/projects/:projectId/restore
+ * @access  Private (project:delete - owner only)
+ */
+const restoreProject = asyncHandler(async (req, res) => {
+  const project = req.project;
 
-    res.status(200).json({
-      success: true,
-      message: "Project deleted successfully",
-      data: null,
-    });
-  } catch (error) {
-    // Abort transaction on error
-    await session.abortTransaction();
-    throw error;
-  } finally {
-    // End session
-    session.endSession();
+  if (!project.archivedAt) {
+    throw new BadRequestError(
+      "Project is not in the trash",
+      ERROR_CODES.NOT_ARCHIVED
+    );
   }
+
+  const { archivedAt } = project;
+
+  project.archivedAt = null;
+  project.archivedBy = null;
+  await project.save();
+
+  await recordAudit(req, {
+    action: "project.restored",
+    target: auditTarget("project", project),
+    before: { archivedAt },
+    after: { archivedAt: null },
+  });
+
+  // Broadcast to project members
+  emitToProject(project._id, "project:restored", { project });
+
+  sendSuccess(res, { project }, { message: "Project restored successfully" });
+});
+
+/**
+ * @desc    Get the archived tasks of a project
+ * @route   GET /api/projects/:projectId/trash
+ * @access  Private (task:read)
+ */
+const getProjectTrash = asyncHandler(async (req, res) => {
+  const tasks = await Task.find({
+    project: req.project._id,
+    archivedAt: { $ne: null },
+  })
+    .populate("assignee", "name email avatarUrl")
+    .populate("archivedBy", "name email avatarUrl")
+    .select("-history")
+    .sort({ archivedAt: -1 });
+
+  sendSuccess(
+    res,
+    {
+      tasks: tasks.map((task) => ({
+        ...task.toObject(),
+        purgeAt: getPurgeDate(task.archivedAt),
+      })),
+    },
+    { meta: { count: tasks.length, retentionDays: getRetentionDays() } }
+  );
+});
+
+/**
+ * @desc    Clone a project with its statuses, members, automations and tasks
+ * @route   POST /api/projects/:projectId/clone
+ * @access  Private (project:update - owner only)
+ */
+const cloneProject = asyncHandler(async (req, res) => {
+  const { title, include, assigneeFallback } = req.body;
+
+  const { project, tasksCreated, automationsCreated, skippedAutomations } =
+    await duplicateProject(req.project, {
+      title,
+      userId: req.user.id,
+      include,
+      assigneeFallback,
+    });
+
+  await recordAudit(req, {
+    action: "project.cloned",
+    target: auditTarget("project", req.project),
+    after: { clone: project._id.toString() },
+  });
+  await recordAudit(req, {
+    project: project._id,
+    action: "project.created",
+    target: auditTarget("project", project),
+    after: {
+      ...snapshot(project, AUDITED_FIELDS.project),
+      clonedFrom: req.project._id.toString(),
+    },
+  });
+
+  sendSuccess(
+    res,
+    { project, tasksCreated, automationsCreated, skippedAutomations },
+    { statusCode: 201 }
+  );
 });
 
 /**
  * @desc    Add a member to project
  * @route   POST /api/projects/:projectId/members
- * @access  Private (Project owner only)
+ * @access  Private (member:add - owner only)
  */
 const addProjectMember = asyncHandler(async (req, res) => {
   const { email, role } = req.body;
 
   if (!email) {
-    res.status(400);
-    throw new Error("Email is required");
+    throw new BadRequestError(
+      "Email is required",
+      ERROR_CODES.VALIDATION_ERROR
+    );
   }
 
   // Find the user to add
   const userToAdd = await User.findOne({ email: email.toLowerCase() });
 
   if (!userToAdd) {
-    res.status(404);
-    throw new Error("User not found with that email");
+    throw new NotFoundError(
+      "User not found with that email",
+      ERROR_CODES.USER_NOT_FOUND
+    );
   }
 
-  // The project is already attached to req by projectOwner middleware
+  // The project is already attached to req by requirePermission middleware
   const project = req.project;
 
   // Check if user is already a member
@@ -193,8 +461,10 @@ const addProjectMember = asyncHandler(async (req, res) => {
   );
 
   if (isAlreadyMember) {
-    res.status(400);
-    throw new Error("User is already a member of this project");
+    throw new BadRequestError(
+      "User is already a member of this project",
+      ERROR_CODES.ALREADY_MEMBER
+    );
   }
 
   // Add the user to members
@@ -206,6 +476,12 @@ const addProjectMember = asyncHandler(async (req, res) => {
 
   await project.save();
 
+  await recordAudit(req, {
+    action: "member.added",
+    target: auditTarget("member", userToAdd, userToAdd.email),
+    after: { user: userToAdd._id.toString(), role: role || "editor" },
+  });
+
   // Create notification for the added user
   await Notification.create({
     recipient: userToAdd._id,
@@ -214,38 +490,42 @@ const addProjectMember = asyncHandler(async (req, res) => {
     relatedProject: project._id,
   });
 
-  res.status(200).json({
-    success: true,
-    message: "Member added successfully",
-    data: {
-      member: {
-        user: {
-          id: userToAdd._id,
-          name: userToAdd.name,
-          email: userToAdd.email,
-          avatarUrl: userToAdd.avatarUrl,
-        },
-        role: role || "editor",
-      },
+  const member = {
+    user: {
+      id: userToAdd._id,
+      name: userToAdd.name,
+      email: userToAdd.email,
+      avatarUrl: userToAdd.avatarUrl,
     },
+    role: role || "editor",
+  };
+
+  // Broadcast to project members
+  emitToProject(project._id, "project:member_added", {
+    projectId: project._id,
+    member,
   });
+
+  sendSuccess(res, { member }, { message: "Member added successfully" });
 });
 
 /**
  * @desc    Remove a member from project
  * @route   DELETE /api/projects/:projectId/members/:userId
- * @access  Private (Project owner only)
+ * @access  Private (member:remove - owner only)
  */
 const removeProjectMember = asyncHandler(async (req, res) => {
   const userId = req.params.userId;
 
-  // The project is already attached to req by projectOwner middleware
+  // The project is already attached to req by requirePermission middleware
   const project = req.project;
 
   // Cannot remove the owner
   if (project.owner.toString() === userId) {
-    res.status(400);
-    throw new Error("Cannot remove the project owner");
+    throw new BadRequestError(
+      "Cannot remove the project owner",
+      ERROR_CODES.CANNOT_MODIFY_OWNER
+    );
   }
 
   // Check if user is a member
@@ -254,34 +534,58 @@ const removeProjectMember = asyncHandler(async (req, res) => {
   );
 
   if (memberIndex === -1) {
-    res.status(404);
-    throw new Error("User is not a member of this project");
+    throw new NotFoundError(
+      "User is not a member of this project",
+      ERROR_CODES.MEMBER_NOT_FOUND
+    );
   }
 
   // Remove user from members array
-  project.members.splice(memberIndex, 1);
+  const [removedMember] = project.members.splice(memberIndex, 1);
   await project.save();
 
+  await recordAudit(req, {
+    action: "member.removed",
+    target: { type: "member", id: removedMember.user },
+    before: snapshot(removedMember, AUDITED_FIELDS.member),
+  });
+
   // Start a session for transaction to handle related data
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    // Unassign user from all tasks in this project
+    // Unassign user from all tasks in this project; updateMany skips the
+    // save hook, so the history entry is added here
     await Task.updateMany(
       { project: project._id, assignee: userId },
-      { $set: { assignee: null } },
+      {
+        $set: { assignee: null },
+        $push: {
+          history: {
+            user: req.user.id,
+            action: "assigned",
+            field: "assignee",
+            oldValue: removedMember.user,
+            newValue: null,
+            timestamp: Date.now(),
+          },
+        },
+      },
       { session }
     );
 
     // Commit the transaction
     await session.commitTransaction();
 
-    res.status(200).json({
-      success: true,
-      message: "Member removed successfully",
-      data: null,
+    // Broadcast to project members and revoke the removed user's live access
+    emitToProject(project._id, "project:member_removed", {
+      projectId: project._id,
+      userId,
     });
+    removeUserFromProject(project._id, userId);
+
+    sendSuccess(res, null, { message: "Member removed successfully" });
   } catch (error) {
     // Abort transaction on error
     await session.abortTransaction();
@@ -295,24 +599,28 @@ const removeProjectMember = asyncHandler(async (req, res) => {
 /**
  * @desc    Update member role in project
  * @route   PUT /api/projects/:projectId/members/:userId
- * @access  Private (Project owner only)
+ * @access  Private (member:update_role - owner only)
  */
 const updateMemberRole = asyncHandler(async (req, res) => {
   const userId = req.params.userId;
   const { role } = req.body;
 
   if (!role || !["editor", "viewer"].includes(role)) {
-    res.status(400);
-    throw new Error("Valid role is required (editor or viewer)");
+    throw new BadRequestError(
+      "Valid role is required (editor or viewer)",
+      ERROR_CODES.INVALID_ROLE
+    );
   }
 
-  // The project is already attached to req by projectOwner middleware
+  // The project is already attached to req by requirePermission middleware
   const project = req.project;
 
   // Cannot update the owner's role
   if (project.owner.toString() === userId) {
-    res.status(400);
-    throw new Error("Cannot change the role of the project owner");
+    throw new BadRequestError(
+      "Cannot change the role of the project owner",
+      ERROR_CODES.CANNOT_MODIFY_OWNER
+    );
   }
 
   // Check if user is a member
@@ -321,21 +629,37 @@ const updateMemberRole = asyncHandler(async (req, res) => {
   );
 
   if (memberIndex === -1) {
-    res.status(404);
-    throw new Error("User is not a member of this project");
+    throw new NotFoundError(
+      "User is not a member of this project",
+      ERROR_CODES.MEMBER_NOT_FOUND
+    );
   }
 
   // Update the user's role
+  const before = snapshot(project.members[memberIndex], AUDITED_FIELDS.member);
   project.members[memberIndex].role = role;
   await project.save();
 
-  res.status(200).json({
-    success: true,
-    message: "Member role updated successfully",
-    data: {
+  await recordAudit(req, {
+    action: "member.role_changed",
+    target: { type: "member", id: project.members[memberIndex].user },
+    before,
+    after: snapshot(project.members[memberIndex], AUDITED_FIELDS.member),
+  });
+
+  // Broadcast to project members
+  emitToProject(project._id, "project:member_role_updated", {
+    projectId: project._id,
+    member: project.members[memberIndex],
+  });
+
+  sendSuccess(
+    res,
+    {
       member: project.members[memberIndex],
     },
-  });
+    { message: "Member role updated successfully" }
+  );
 });
 
 module.exports = {
@@ -343,7 +667,13 @@ module.exports = {
   getUserProjects,
   getProjectById,
   updateProject,
+  renameProjectStatus,
+  mergeProjectStatus,
   deleteProject,
+  getTrashedProjects,
+  restoreProject,
+  getProjectTrash,
+  cloneProject,
   addProjectMember,
   removeProjectMember,
   updateMemberRole,
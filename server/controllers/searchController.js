@@ -0,0 +1,207 @@
+// controllers/searchController.js
+const asyncHandler = require("express-async-handler");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+const {
+  buildPagination,
+  parsePagination,
+  sendPaginated,
+} = require("../utils/apiResponse");
+const { buildTaskFilter } = require("../utils/taskQuery");
+
+const SNIPPET_RADIUS = 60;
+
+// Escape text before wrapping matches in <mark> tags
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Split a search query into terms, keeping quoted phrases together
+const getSearchTerms = (q) =>
+  (q.match(/"[^"]+"|\S+/g) || [])
+    .map((term) => term.replace(/"/g, "").trim())
+    .filter((term) => term.length > 1 && !term.startsWith("-"));
+
+/**
+ * Build a highlighted snippet around the first match in a text
+ * @returns {String|null} HTML-escaped snippet with <mark> around matches
+ */
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  const match = pattern.exec(text);
+  if (!match) return null;
+
+  const start = Math.max(match.index - SNIPPET_RADIUS, 0);
+  const end = Math.min(
+    match.index + match[0].length + SNIPPET_RADIUS,
+    text.length
+  );
+
+  const snippet = escapeHtml(text.slice(start, end)).replace(
+    new RegExp(
+      `(${terms.map((t) => escapeRegExp(escapeHtml(t))).join("|")})`,
+      "gi"
+    ),
+    "<mark>$1</mark>"
+  );
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+};
+
+// Collect highlighted snippets for every matching field of a task
+const taskHighlights = (task, terms) => {
+  const highlights = [];
+
+  for (const field of ["title", "description"]) {
+    const snippet = highlight(task[field], terms);
+    if (snippet) highlights.push({ field, snippet });
+  }
+
+  for (const comment of task.comments || []) {
+    const snippet = highlight(comment.text, terms);
+    if (snippet) {
+      highlights.push({ field: "comment", commentId: comment._id, snippet });
+    }
+  }
+
+  return highlights;
+};
+
+/**
+ * @desc    Full-text search across the user's tasks, comments and projects
+ *          Tasks and projects are paged separately, each with its own
+ *          block in meta.pagination
+ * @route   GET /api/search?q=
+ * @access  Private
+ */
+const search = asyncHandler(async (req, res) => {
+  const { q, type = "all", project: projectId } = req.query;
+  const { page, limit, skip } = parsePagination(req.query);
+  const terms = getSearchTerms(q);
+
+  // Only search projects the user is a member of
+  let memberProjects = await Project.find({
+    "members.user": req.user.id,
+  }).select("_id statuses");
+
+  if (projectId) {
+    memberProjects = memberProjects.filter(
+      (p) => p._id.toString() === projectId
+    );
+  }
+  const projectIds = memberProjects.map((p) => p._id);
+
+  const score = { score: { $meta: "textScore" } };
+  const results = { tasks: [], projects: [] };
+  const pagination = {};
+
+  if (type !== "projects") {
+    // Comments live in their own collection, so tasks with a matching
+    // comment are looked up first and matched by id
+    const commentTaskIds = await Comment.find({
+      project: { $in: projectIds },
+      $text: { $search: q },
+    }).distinct("task");
+
+    const textMatch =
+      commentTaskIds.length > 0
+        ? { $or: [{ $text: { $search: q } }, { _id: { $in: commentTaskIds } }] }
+        : { $text: { $search: q } };
+
+    // Final statuses differ between projects, so an overdue search gets a
+    // clause per project leaving out the tasks already done
+    const projectMatch =
+      req.query.overdue === "true" && memberProjects.length > 0
+        ? {
+            $or: memberProjects.map((p) => ({
+              project: p._id,
+              status: { $nin: p.getFinalStatuses() },
+            })),
+          }
+        : { project: { $in: projectIds } };
+
+    const filter = {
+      $and: [
+        buildTaskFilter(req.query, { userId: req.user.id }),
+        projectMatch,
+        textMatch,
+      ],
+    };
+
+    const tasks = await Task.find(filter, score)
+      .sort(score)
+      .skip(skip)
+      .limit(limit)
+      .select("title description status priority dueDate assignee project")
+      .populate("project", "title")
+      .populate("assignee", "name email avatarUrl")
+      .lean();
+
+    const comments = await Comment.find({
+      task: { $in: tasks.map((task) => task._id) },
+      $text: { $search: q },
+    })
+      .select("task text")
+      .lean();
+
+    results.tasks = tasks.map(({ score: rank, ...task }) => ({
+      ...task,
+      score: rank,
+      highlights: taskHighlights(
+        {
+          ...task,
+          comments: comments.filter(
+            (comment) => comment.task.toString() === task._id.toString()
+          ),
+        },
+        terms
+      ),
+    }));
+
+    pagination.tasks = buildPagination({
+      page,
+      limit,
+      totalItems: await Task.countDocuments(filter),
+    });
+  }
+
+  if (type !== "tasks") {
+    const filter = { _id: { $in: projectIds }, $text: { $search: q } };
+
+    const projects = await Project.find(filter, score)
+      .sort(score)
+      .skip(skip)
+      .limit(limit)
+      .select("title description owner")
+      .lean();
+
+    results.projects = projects.map((project) => ({
+      ...project,
+      highlights: ["title", "description"]
+        .map((field) => ({ field, snippet: highlight(project[field], terms) }))
+        .filter((h) => h.snippet),
+    }));
+
+    pagination.projects = buildPagination({
+      page,
+      limit,
+      totalItems: await Project.countDocuments(filter),
+    });
+  }
+
+  sendPaginated(res, results, {
+    count: results.tasks.length + results.projects.length,
+    pagination,
+    meta: { query: q },
+  });
+});
+
+module.exports = { search };
@@ -1,56 +1,142 @@
 // controllers/taskController.js
 const asyncHandler = require("express-async-handler");
 const Task = require("../models/Task");
-const Project = require("../models/Project");
+const Comment = require("../models/Comment");
 const User = require("../models/User");
 const Notification = require("../models/Notification");
+const SavedView = require("../models/SavedView");
+const TaskTemplate = require("../models/TaskTemplate");
 const { runAutomations } = require("../utils/automationEngine");
+const { emitToProject } = require("../websocket/socket");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  NotFoundError,
+  buildPagination,
+  parsePagination,
+  sendPaginated,
+  sendSuccess,
+} = require("../utils/apiResponse");
+const {
+  assertValidStatus,
+  assertValidTransition,
+  assertProjectMember,
+} = require("../utils/validators");
+const { assertNotBlocked } = require("../utils/dependencies");
+const { resolveWipOverride, assertWipLimit } = require("../utils/wipLimits");
+const { rankForPosition } = require("../utils/taskRank");
+const { taskFromTemplate } = require("../utils/templates");
+const { resolveMentions, recordMentions } = require("../utils/mentions");
+const {
+  getPurgeDate,
+  archiveTasks,
+  restoreArchivedTask,
+} = require("../utils/trash");
+const {
+  AUDITED_FIELDS,
+  snapshot,
+  auditTarget,
+  recordAudit,
+} = require("../utils/audit");
+const {
+  normalizeRecurrence,
+  spawnIfCompleted,
+} = require("../utils/recurrence");
+const {
+  resolveParent,
+  getDescendantIds,
+  computeProgress,
+  buildTaskTree,
+} = require("../utils/taskTree");
+const {
+  buildTaskFilter,
+  buildTaskSort,
+  groupTasks,
+} = require("../utils/taskQuery");
+const {
+  applyCursor,
+  buildCursorPage,
+  withNextCursor,
+} = require("../utils/cursor");
+
+// Create the next instance of a recurring task that was just completed
+const spawnNextInstance = async (task, project) => {
+  const nextTask = await spawnIfCompleted(task, project);
+  if (nextTask) {
+    await runAutomations("task_created", nextTask);
+  }
+};
 
 /**
  * @desc    Create a new task
  * @route   POST /api/tasks
- * @access  Private (Project members only)
+ * @access  Private (task:create - owners and editors)
  */
 const createTask = asyncHandler(async (req, res) => {
   const {
-    title,
-    description,
     project: projectId,
     status,
     assignee,
-    dueDate,
-    priority,
+    parent,
+    recurrence,
+    overrideWipLimit,
+    template,
+    variables,
   } = req.body;
+  let { title, description, dueDate, priority } = req.body;
+  let checklist;
+
+  // The project was loaded and the role checked by requirePermission
+  const project = req.project;
+
+  // A task template fills in whatever the request leaves out
+  if (template) {
+    const taskTemplate = await TaskTemplate.findOne({
+      _id: template,
+      project: project._id,
+    });
+
+    if (!taskTemplate) {
+      throw new NotFoundError(
+        "Task template not found",
+        ERROR_CODES.TEMPLATE_NOT_FOUND
+      );
+    }
 
-  // Validate project access (middleware already checked membership)
-  const project = await Project.findById(projectId);
+    const fields = taskFromTemplate(taskTemplate, {
+      project: project.title,
+      ...variables,
+    });
 
-  if (!project) {
-    res.status(404);
-    throw new Error("Project not found");
+    title = title || fields.title;
+    description = description !== undefined ? description : fields.description;
+    dueDate = dueDate || fields.dueDate;
+    priority = priority || fields.priority;
+    checklist = fields.checklist;
   }
 
   // Validate status against project's allowed statuses
   if (status) {
-    const validStatus = project.statuses.some((s) => s.name === status);
-    if (!validStatus) {
-      res.status(400);
-      throw new Error(
-        `Invalid status: ${status}. Must be one of the project's defined statuses.`
-      );
-    }
+    assertValidStatus(project, status);
   }
 
   // Validate assignee (if provided) is a project member
   if (assignee) {
-    const isProjectMember = project.members.some(
-      (member) => member.user.toString() === assignee
-    );
+    assertProjectMember(project, assignee);
+  }
 
-    if (!isProjectMember) {
-      res.status(400);
-      throw new Error("Assignee must be a member of the project");
-    }
+  // Default to first status if not provided
+  const initialStatus = status || project.statuses[0].name;
+
+  // Respect the WIP limits of the starting column
+  await assertWipLimit(project, initialStatus, {
+    assignee,
+    override: resolveWipOverride(overrideWipLimit, req.memberRole),
+  });
+
+  // Validate parent task (if provided) for subtasks
+  if (parent) {
+    await resolveParent(parent, project);
   }
 
   // Create the task
@@ -58,13 +144,22 @@ const createTask = asyncHandler(async (req, res) => {
     title,
     description,
     project: projectId,
-    status: status || project.statuses[0].name, // Default to first status if not provided
+    status: initialStatus,
     assignee,
     dueDate,
     priority,
+    parent: parent || null,
+    checklist,
+    recurrence: recurrence ? normalizeRecurrence(recurrence) : null,
     creator: req.user.id,
   });
 
+  await recordAudit(req, {
+    action: "task.created",
+    target: auditTarget("task", task),
+    after: snapshot(task, AUDITED_FIELDS.task),
+  });
+
   // Fetch the complete task with populated fields
   const populatedTask = await Task.findById(task._id)
     .populate("assignee", "name email avatarUrl")
@@ -81,147 +176,221 @@ const createTask = asyncHandler(async (req, res) => {
     });
   }
 
+  // Notify the members mentioned in the description
+  await recordMentions({
+    task,
+    userIds: await resolveMentions(project, description),
+    mentionedBy: req.user.id,
+  });
+
+  // Broadcast to project members
+  emitToProject(projectId, "task:created", { task: populatedTask });
+
   // Trigger automations for task creation
   await runAutomations("task_created", task);
 
-  res.status(201).json({
-    success: true,
-    data: { task: populatedTask },
-  });
+  sendSuccess(res, { task: populatedTask }, { statusCode: 201 });
 });
 
 /**
  * @desc    Get all tasks for a project
  * @route   GET /api/projects/:projectId/tasks
- * @access  Private (Project members only)
+ * @access  Private (task:read)
  */
 const getProjectTasks = asyncHandler(async (req, res) => {
   const projectId = req.params.projectId;
 
-  // Sort, filter and pagination options
-  const status = req.query.status;
-  const assignee = req.query.assignee;
-  const dueDate = req.query.dueDate;
-  const priority = req.query.priority;
-  const sortBy = req.query.sortBy || "createdAt";
-  const sortOrder = req.query.sortOrder === "asc" ? 1 : -1;
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 50;
-  const skip = (page - 1) * limit;
-
-  // Build filter object
-  const filter = { project: projectId };
-  if (status) filter.status = status;
-  if (assignee) filter.assignee = assignee;
-  if (priority) filter.priority = priority;
-  if (dueDate) {
-    const date = new Date(dueDate);
-    // Match tasks due on the specified date
-    filter.dueDate = {
-      $gte: new Date(date.setHours(0, 0, 0, 0)),
-      $lte: new Date(date.setHours(23, 59, 59, 999)),
-    };
-  }
+  // ?view=<id> applies a saved view; explicit params override its settings
+  let query = req.query;
+  if (req.query.view) {
+    const view = await SavedView.findVisible(
+      req.query.view,
+      projectId,
+      req.user.id
+    );
 
-  // Build sort object
-  const sort = {};
-  sort[sortBy] = sortOrder;
+    if (!view) {
+      throw new NotFoundError("View not found", ERROR_CODES.VIEW_NOT_FOUND);
+    }
 
-  // Get tasks with pagination
-  const tasks = await Task.find(filter)
-    .sort(sort)
-    .skip(skip)
-    .limit(limit)
-    .populate("assignee", "name email avatarUrl")
-    .populate("creator", "name email avatarUrl");
+    query = { ...view.toQuery(), ...req.query };
+  }
 
-  // Get total count for pagination
-  const totalTasks = await Task.countDocuments(filter);
-
-  res.status(200).json({
-    success: true,
-    count: tasks.length,
-    pagination: {
-      page,
-      limit,
-      totalPages: Math.ceil(totalTasks / limit),
-      totalItems: totalTasks,
-    },
-    data: { tasks },
+  // tree=true nests subtasks under their parents (implies topLevel)
+  const tree = query.tree === "true";
+  const topLevel = tree || query.topLevel === "true";
+  const { page, limit, skip } = parsePagination(query, {
+    defaultLimit: 50,
   });
+
+  // Build filter and sort objects (sortBy is limited to SORTABLE_FIELDS)
+  const filter = {
+    ...buildTaskFilter(query, {
+      userId: req.user.id,
+      finalStatuses: req.project.getFinalStatuses(),
+    }),
+    project: projectId,
+  };
+  if (topLevel) filter.parent = null;
+
+  // Without sortBy tasks come in board order, as arranged by drag and drop
+  const sort = buildTaskSort(query, "rank");
+
+  // ?after=<cursor> pages by position; otherwise page numbers are used
+  let tasks;
+  let pagination;
+
+  if (query.after) {
+    const results = await Task.find(applyCursor(filter, sort, query.after))
+      .sort(sort)
+      .limit(limit + 1)
+      .populate("assignee", "name email avatarUrl")
+      .populate("creator", "name email avatarUrl");
+
+    ({ items: tasks, pagination } = buildCursorPage(results, { limit, sort }));
+  } else {
+    tasks = await Task.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate("assignee", "name email avatarUrl")
+      .populate("creator", "name email avatarUrl");
+
+    // Get total count for pagination
+    const totalTasks = await Task.countDocuments(filter);
+
+    pagination = withNextCursor(
+      buildPagination({ page, limit, totalItems: totalTasks }),
+      tasks,
+      sort
+    );
+  }
+
+  const data = { tasks };
+
+  // Attach every level of subtasks below the top-level page
+  if (tree) {
+    const descendantIds = (
+      await Promise.all(tasks.map((task) => getDescendantIds(task._id)))
+    ).flat();
+
+    const descendants = await Task.find({ _id: { $in: descendantIds } })
+      .sort({ createdAt: 1 })
+      .populate("assignee", "name email avatarUrl")
+      .populate("creator", "name email avatarUrl");
+
+    data.tasks = buildTaskTree(
+      [...tasks, ...descendants],
+      req.project.getFinalStatuses()
+    );
+  }
+
+  // groupBy adds board columns holding the ids of the page's tasks
+  if (query.groupBy) {
+    data.groups = groupTasks(tasks, query.groupBy, req.project);
+  }
+
+  sendPaginated(res, data, { count: tasks.length, pagination });
 });
 
 /**
  * @desc    Get a task by ID
  * @route   GET /api/tasks/:taskId
- * @access  Private (Project members only)
+ * @access  Private (task:read)
  */
 const getTaskById = asyncHandler(async (req, res) => {
-  const taskId = req.params.taskId;
-
-  const task = await Task.findById(taskId)
+  // The task was already loaded and access-checked by requirePermission
+  const task = await Task.findById(req.task._id)
     .populate("assignee", "name email avatarUrl")
     .populate("creator", "name email avatarUrl")
-    .populate("comments.user", "name email avatarUrl")
-    .populate("history.user", "name email avatarUrl");
-
-  if (!task) {
-    res.status(404);
-    throw new Error("Task not found");
-  }
-
-  // Check if user is a member of the task's project
-  const project = await Project.findById(task.project);
-  const isMember = project.members.some(
-    (member) => member.user.toString() === req.user.id
+    .populate("history.user", "name email avatarUrl")
+    .populate("history.automation", "name");
+
+  // Direct subtasks and the roll-up of subtasks and checklist items
+  const subtasks = await Task.find({ parent: task._id })
+    .select("_id title status assignee dueDate priority")
+    .populate("assignee", "name email avatarUrl");
+
+  const progress = computeProgress(
+    task,
+    subtasks,
+    req.project.getFinalStatuses()
   );
 
-  if (!isMember) {
-    res.status(403);
-    throw new Error(
-      "Access denied: You are not a member of this task's project"
-    );
-  }
+  // Comments are paged separately (GET /api/tasks/:taskId/comments)
+  const commentCount = await Comment.countDocuments({
+    task: task._id,
+    deletedAt: null,
+  });
+
+  sendSuccess(res, { task, subtasks, progress, commentCount });
+});
 
-  res.status(200).json({
-    success: true,
-    data: { task },
+/**
+ * @desc    Get the change history of a task, newest first
+ * @route   GET /api/tasks/:taskId/history
+ * @access  Private (task:read)
+ */
+const getTaskHistory = asyncHandler(async (req, res) => {
+  const { field, action } = req.query;
+
+  const task = await Task.findById(req.task._id)
+    .select("history")
+    .populate("history.user", "name email avatarUrl")
+    .populate("history.automation", "name");
+
+  // Optional ?field= and ?action= filters
+  const entries = task.history
+    .filter((entry) => !field || entry.field === field)
+    .filter((entry) => !action || entry.action === action)
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  const { page, limit, skip } = parsePagination(req.query, {
+    defaultLimit: 50,
   });
+
+  const history = entries.slice(skip, skip + limit);
+
+  sendPaginated(
+    res,
+    { history },
+    {
+      count: history.length,
+      pagination: buildPagination({
+        page,
+        limit,
+        totalItems: entries.length,
+      }),
+    }
+  );
 });
 
 /**
  * @desc    Update a task
  * @route   PUT /api/tasks/:taskId
- * @access  Private (Project members only)
+ * @access  Private (task:update - owners and editors)
  */
 const updateTask = asyncHandler(async (req, res) => {
   const taskId = req.params.taskId;
-  const { title, description, status, assignee, dueDate, priority } = req.body;
-
-  // Find the task
-  const task = await Task.findById(taskId);
-
-  if (!task) {
-    res.status(404);
-    throw new Error("Task not found");
-  }
-
-  // Check if user is a member of the task's project
-  const project = await Project.findById(task.project);
-  const isMember = project.members.some(
-    (member) => member.user.toString() === req.user.id
-  );
+  const {
+    title,
+    description,
+    status,
+    assignee,
+    dueDate,
+    priority,
+    parent,
+    overrideWipLimit,
+  } = req.body;
 
-  if (!isMember) {
-    res.status(403);
-    throw new Error(
-      "Access denied: You are not a member of this task's project"
-    );
-  }
+  // The task and project were loaded by the requirePermission middleware
+  const task = req.task;
+  const project = req.project;
 
-  // Store old values for history tracking
+  // Store old values to detect status and assignee changes
   const oldStatus = task.status;
   const oldAssignee = task.assignee;
+  const before = snapshot(task, AUDITED_FIELDS.task);
 
   // Update fields if provided
   if (title) task.title = title;
@@ -229,12 +398,10 @@ const updateTask = asyncHandler(async (req, res) => {
 
   // Validate status if provided
   if (status) {
-    const validStatus = project.statuses.some((s) => s.name === status);
-    if (!validStatus) {
-      res.status(400);
-      throw new Error(
-        `Invalid status: ${status}. Must be one of the project's defined statuses.`
-      );
+    assertValidStatus(project, status);
+    if (status !== oldStatus) {
+      assertValidTransition(project, oldStatus, status, req.memberRole);
+      await assertNotBlocked(task, project, status);
     }
     task.status = status;
   }
@@ -245,33 +412,48 @@ const updateTask = asyncHandler(async (req, res) => {
       // Special case to remove assignee
       task.assignee = null;
     } else {
-      const isProjectMember = project.members.some(
-        (member) => member.user.toString() === assignee
-      );
-
-      if (!isProjectMember) {
-        res.status(400);
-        throw new Error("Assignee must be a member of the project");
-      }
+      assertProjectMember(project, assignee);
       task.assignee = assignee;
     }
   }
 
+  // Check WIP limits when the task enters a column or changes hands
+  const statusChanged = task.status !== oldStatus;
+  const assigneeChanged =
+    String(task.assignee || "") !== String(oldAssignee || "");
+
+  if (statusChanged || assigneeChanged) {
+    await assertWipLimit(project, task.status, {
+      assignee: task.assignee,
+      excludeTaskId: task._id,
+      assigneeOnly: !statusChanged,
+      override: resolveWipOverride(overrideWipLimit, req.memberRole),
+    });
+  }
+
   if (dueDate !== undefined) {
     task.dueDate = dueDate ? new Date(dueDate) : null;
   }
 
   if (priority) task.priority = priority;
 
-  // Add history entry
-  task.history.push({
-    user: req.user.id,
-    action: "updated",
-    timestamp: Date.now(),
-  });
+  // Move under another parent, or to the top level with null
+  if (parent !== undefined) {
+    if (parent) {
+      await resolveParent(parent, project, task);
+    }
+    task.parent = parent || null;
+  }
 
-  // Save the updated task
-  await task.save();
+  // Save the updated task; each changed field is recorded in history
+  await task.setActor(req.user.id).save();
+
+  await recordAudit(req, {
+    action: "task.updated",
+    target: auditTarget("task", task),
+    before,
+    after: snapshot(task, AUDITED_FIELDS.task),
+  });
 
   // Reload task with populated fields
   const updatedTask = await Task.findById(taskId)
@@ -293,9 +475,22 @@ const updateTask = asyncHandler(async (req, res) => {
     });
   }
 
+  // Notify members newly mentioned in the description
+  if (description) {
+    await recordMentions({
+      task,
+      userIds: await resolveMentions(project, task.description),
+      mentionedBy: req.user.id,
+    });
+  }
+
+  // Broadcast to project members
+  emitToProject(task.project, "task:updated", { task: updatedTask });
+
   // Trigger automations
   if (status && status !== oldStatus) {
     await runAutomations("task_status_changed", updatedTask, { oldStatus });
+    await spawnNextInstance(updatedTask, project);
   }
 
   if (
@@ -310,148 +505,276 @@ const updateTask = asyncHandler(async (req, res) => {
   // General update automation
   await runAutomations("task_updated", updatedTask);
 
-  res.status(200).json({
-    success: true,
-    data: { task: updatedTask },
-  });
+  sendSuccess(res, { task: updatedTask });
 });
 
 /**
- * @desc    Delete a task
- * @route   DELETE /api/tasks/:taskId
- * @access  Private (Project members with editor rights)
+ * @desc    Move a task to a position, optionally in another status column
+ * @route   PUT /api/tasks/:taskId/move
+ * @access  Private (task:update - owners and editors)
  */
-const deleteTask = asyncHandler(async (req, res) => {
-  const taskId = req.params.taskId;
+const moveTask = asyncHandler(async (req, res) => {
+  const { status, position, overrideWipLimit } = req.body;
+
+  // The task and project were loaded by the requirePermission middleware
+  const task = req.task;
+  const project = req.project;
+
+  const oldStatus = task.status;
+  const targetStatus = status || oldStatus;
+  const before = snapshot(task, ["status", "rank"]);
+
+  // Changing column goes through the same checks as updateTask
+  if (targetStatus !== oldStatus) {
+    assertValidStatus(project, targetStatus);
+    assertValidTransition(project, oldStatus, targetStatus, req.memberRole);
+    await assertNotBlocked(task, project, targetStatus);
+    await assertWipLimit(project, targetStatus, {
+      assignee: task.assignee,
+      excludeTaskId: task._id,
+      override: resolveWipOverride(overrideWipLimit, req.memberRole),
+    });
 
-  // Find the task
-  const task = await Task.findById(taskId);
+    task.status = targetStatus;
+  }
+
+  task.rank = await rankForPosition(
+    project._id,
+    targetStatus,
+    position,
+    task._id
+  );
+
+  await task.setActor(req.user.id).save();
+
+  await recordAudit(req, {
+    action: "task.moved",
+    target: auditTarget("task", task),
+    before,
+    after: snapshot(task, ["status", "rank"]),
+  });
+
+  // Broadcast so every board shows the same order
+  emitToProject(task.project, "task:moved", {
+    taskId: task._id,
+    oldStatus,
+    status: task.status,
+    position,
+    rank: task.rank,
+  });
+
+  // Reload task with populated fields
+  const updatedTask = await Task.findById(task._id)
+    .populate("assignee", "name email avatarUrl")
+    .populate("creator", "name email avatarUrl");
 
-  if (!task) {
-    res.status(404);
-    throw new Error("Task not found");
+  if (targetStatus !== oldStatus) {
+    await runAutomations("task_status_changed", updatedTask, { oldStatus });
+    await spawnNextInstance(updatedTask, project);
   }
 
-  // Check if user is a member of the task's project with appropriate rights
-  const project = await Project.findById(task.project);
-  const memberInfo = project.members.find(
-    (member) => member.user.toString() === req.user.id
+  // General update automation, as in updateTask
+  await runAutomations("task_updated", updatedTask);
+
+  sendSuccess(res, { task: updatedTask });
+});
+
+/**
+ * @desc    Set or change the recurrence rule of a task's series
+ * @route   PUT /api/tasks/:taskId/recurrence
+ * @access  Private (task:update - owners and editors)
+ */
+const updateTaskRecurrence = asyncHandler(async (req, res) => {
+  const task = req.task;
+  const before = snapshot(task, ["recurrence"]);
+  const rule = { ...normalizeRecurrence(req.body.recurrence), active: true };
+  const seriesId = task.seriesId || task._id;
+
+  // Instances that have not spawned their successor yet carry the rule on
+  const { matchedCount } = await Task.updateMany(
+    {
+      $or: [{ _id: task._id }, { seriesId }],
+      recurrenceSpawnedAt: null,
+    },
+    { $set: { recurrence: rule, seriesId } }
   );
 
-  if (!memberInfo) {
-    res.status(403);
-    throw new Error(
-      "Access denied: You are not a member of this task's project"
+  // Every instance has spawned already, e.g. the series ran out
+  if (matchedCount === 0) {
+    throw new BadRequestError(
+      "This series has ended; set the rule on a new task instead",
+      ERROR_CODES.SERIES_ENDED
     );
   }
 
-  // Only owners, the task creator, or editors can delete tasks
-  const isOwner = project.owner.toString() === req.user.id;
-  const isCreator = task.creator && task.creator.toString() === req.user.id;
-  const isEditor = memberInfo.role === "editor";
+  const updatedTask = await Task.findById(task._id)
+    .populate("assignee", "name email avatarUrl")
+    .populate("creator", "name email avatarUrl");
+
+  await recordAudit(req, {
+    action: "task.recurrence_updated",
+    target: auditTarget("task", task),
+    before,
+    after: snapshot(updatedTask, ["recurrence"]),
+  });
+
+  emitToProject(task.project, "task:updated", { task: updatedTask });
+
+  // A task that is already done spawns its next instance right away
+  await spawnNextInstance(updatedTask, req.project);
+
+  sendSuccess(res, { task: updatedTask });
+});
+
+/**
+ * @desc    Stop a recurring series; existing instances are kept
+ * @route   DELETE /api/tasks/:taskId/recurrence
+ * @access  Private (task:update - owners and editors)
+ */
+const stopTaskRecurrence = asyncHandler(async (req, res) => {
+  const task = req.task;
 
-  if (!isOwner && !isCreator && !isEditor) {
-    res.status(403);
-    throw new Error(
-      "Access denied: You do not have permission to delete this task"
+  if (!task.recurrence) {
+    throw new BadRequestError(
+      "This task does not repeat",
+      ERROR_CODES.NOT_RECURRING
     );
   }
 
-  // Delete the task
-  await Task.findByIdAndDelete(taskId);
+  await Task.updateMany(
+    { seriesId: task.seriesId || task._id, "recurrence.active": true },
+    { $set: { "recurrence.active": false } }
+  );
 
-  // Delete related notifications
-  await Notification.deleteMany({ relatedTask: taskId });
+  const updatedTask = await Task.findById(task._id)
+    .populate("assignee", "name email avatarUrl")
+    .populate("creator", "name email avatarUrl");
 
-  res.status(200).json({
-    success: true,
-    message: "Task deleted successfully",
-    data: null,
+  await recordAudit(req, {
+    action: "task.recurrence_stopped",
+    target: auditTarget("task", task),
+    before: snapshot(task, ["recurrence"]),
+    after: snapshot(updatedTask, ["recurrence"]),
   });
+
+  emitToProject(task.project, "task:updated", { task: updatedTask });
+
+  sendSuccess(
+    res,
+    { task: updatedTask },
+    { message: "Recurring series stopped" }
+  );
 });
 
 /**
- * @desc    Add a comment to a task
- * @route   POST /api/tasks/:taskId/comments
- * @access  Private (Project members only)
+ * @desc    Move a task to the trash
+ * @route   DELETE /api/tasks/:taskId?subtasks=cascade|reparent
+ * @access  Private (task:delete - owners and editors)
  */
-const addTaskComment = asyncHandler(async (req, res) => {
-  const taskId = req.params.taskId;
-  const { text } = req.body;
+const deleteTask = asyncHandler(async (req, res) => {
+  // Subtasks are moved up to the deleted task's parent unless cascading
+  const cascade = req.query.subtasks === "cascade";
+
+  // The task was loaded and the role checked by requirePermission
+  const task = req.task;
 
-  if (!text || text.trim() === "") {
-    res.status(400);
-    throw new Error("Comment text is required");
+  const deletedIds = [task._id];
+
+  if (cascade) {
+    deletedIds.push(...(await getDescendantIds(task._id)));
+  } else {
+    await Task.updateMany(
+      { parent: task._id },
+      { $set: { parent: task.parent || null } }
+    );
   }
 
-  // Find the task
-  const task = await Task.findById(taskId);
+  // Archive the task (and its subtasks when cascading); dependency links
+  // and notifications are kept until the trash is purged
+  const archivedAt = await archiveTasks(deletedIds, req.user.id);
+
+  await recordAudit(req, {
+    action: "task.archived",
+    target: auditTarget("task", task),
+    before: { archivedAt: null },
+    after: {
+      archivedAt,
+      subtasks: deletedIds.slice(1).map((id) => id.toString()),
+    },
+  });
 
-  if (!task) {
-    res.status(404);
-    throw new Error("Task not found");
+  // Broadcast to project members
+  for (const deletedId of deletedIds) {
+    emitToProject(task.project, "task:deleted", {
+      taskId: deletedId,
+      projectId: task.project,
+      archived: true,
+    });
   }
 
-  // Check if user is a member of the task's project
-  const project = await Project.findById(task.project);
-  const isMember = project.members.some(
-    (member) => member.user.toString() === req.user.id
+  sendSuccess(
+    res,
+    { deletedCount: deletedIds.length, purgeAt: getPurgeDate(archivedAt) },
+    { message: "Task moved to trash" }
   );
+});
 
-  if (!isMember) {
-    res.status(403);
-    throw new Error(
-      "Access denied: You are not a member of this task's project"
+/**
+ * @desc    Restore an archived task with the subtasks archived along with it
+ * @route   POST /api/tasks/:taskId/restore
+ * @access  Private (task:delete - owners and editors)
+ */
+const restoreTask = asyncHandler(async (req, res) => {
+  // The task (archived or not) and project were loaded by requirePermission
+  const task = req.task;
+
+  if (!task.archivedAt) {
+    throw new BadRequestError(
+      "Task is not in the trash",
+      ERROR_CODES.NOT_ARCHIVED
     );
   }
 
-  // Add the comment
-  task.comments.push({
-    user: req.user.id,
-    text,
-    createdAt: Date.now(),
-  });
+  const restoredIds = await restoreArchivedTask(task, req.project, req.user.id);
 
-  // Add to history
-  task.history.push({
-    user: req.user.id,
-    action: "commented",
-    timestamp: Date.now(),
+  await recordAudit(req, {
+    action: "task.restored",
+    target: auditTarget("task", task),
+    before: { archivedAt: task.archivedAt },
+    after: {
+      archivedAt: null,
+      subtasks: restoredIds.slice(1).map((id) => id.toString()),
+    },
   });
 
-  await task.save();
-
-  // Get the updated task with populated comments
-  const updatedTask = await Task.findById(taskId)
+  const restoredTasks = await Task.find({ _id: { $in: restoredIds } })
     .populate("assignee", "name email avatarUrl")
-    .populate("creator", "name email avatarUrl")
-    .populate("comments.user", "name email avatarUrl");
+    .populate("creator", "name email avatarUrl");
 
-  // Notify the task assignee (if different from commenter)
-  if (task.assignee && task.assignee.toString() !== req.user.id) {
-    await Notification.create({
-      recipient: task.assignee,
-      type: "task_comment",
-      message: `New comment on task "${task.title}"`,
-      relatedProject: task.project,
-      relatedTask: task._id,
-    });
+  // Broadcast to project members
+  for (const restoredTask of restoredTasks) {
+    emitToProject(task.project, "task:restored", { task: restoredTask });
   }
 
-  res.status(200).json({
-    success: true,
-    data: {
-      task: updatedTask,
-      newComment: updatedTask.comments[updatedTask.comments.length - 1],
+  sendSuccess(
+    res,
+    {
+      task: restoredTasks.find((t) => t._id.equals(task._id)),
+      restoredCount: restoredTasks.length,
     },
-  });
+    { message: "Task restored successfully" }
+  );
 });
 
 module.exports = {
   createTask,
   getProjectTasks,
   getTaskById,
+  getTaskHistory,
   updateTask,
+  moveTask,
+  updateTaskRecurrence,
+  stopTaskRecurrence,
   deleteTask,
-  addTaskComment,
+  restoreTask,
 };
@@ -0,0 +1,306 @@
+// controllers/templateController.js
+const asyncHandler = require("express-async-handler");
+const Project = require("../models/Project");
+const ProjectTemplate = require("../models/ProjectTemplate");
+const TaskTemplate = require("../models/TaskTemplate");
+const {
+  ERROR_CODES,
+  ForbiddenError,
+  NotFoundError,
+  sendSuccess,
+} = require("../utils/apiResponse");
+const {
+  validateTemplate,
+  findTemplateForUser,
+  templateFromProject,
+} = require("../utils/templates");
+const {
+  AUDITED_FIELDS,
+  snapshot,
+  auditTarget,
+  recordAudit,
+} = require("../utils/audit");
+
+// Only the user who created a project template can change it
+const assertTemplateOwner = (template, userId) => {
+  if (template.owner.toString() !== userId) {
+    throw new ForbiddenError(
+      "Only the template owner can change this template",
+      ERROR_CODES.FORBIDDEN
+    );
+  }
+};
+
+// Load a task template of the project attached by requirePermission
+const findTaskTemplate = async (req) => {
+  const template = await TaskTemplate.findOne({
+    _id: req.params.templateId,
+    project: req.project._id,
+  });
+
+  if (!template) {
+    throw new NotFoundError(
+      "Task template not found",
+      ERROR_CODES.TEMPLATE_NOT_FOUND
+    );
+  }
+
+  return template;
+};
+
+/**
+ * @desc    Create a project template
+ * @route   POST /api/templates
+ * @access  Private
+ */
+const createProjectTemplate = asyncHandler(async (req, res) => {
+  const { name, description, statuses, transitions, automations, tasks } =
+    req.body;
+
+  validateTemplate({ statuses, transitions, automations, tasks });
+
+  const template = await ProjectTemplate.create({
+    name,
+    description,
+    owner: req.user.id,
+    statuses,
+    transitions,
+    automations,
+    tasks,
+  });
+
+  sendSuccess(res, { template }, { statusCode: 201 });
+});
+
+/**
+ * @desc    Get the user's own templates and those shared from their projects
+ * @route   GET /api/templates
+ * @access  Private
+ */
+const getProjectTemplates = asyncHandler(async (req, res) => {
+  const memberProjectIds = await Project.find({
+    "members.user": req.user.id,
+  }).distinct("_id");
+
+  const templates = await ProjectTemplate.find({
+    $or: [
+      { owner: req.user.id },
+      { shared: true, sourceProject: { $in: memberProjectIds } },
+    ],
+  })
+    .populate("owner", "name email avatarUrl")
+    .populate("sourceProject", "title")
+    .sort({ name: 1 });
+
+  sendSuccess(res, { templates }, { meta: { count: templates.length } });
+});
+
+/**
+ * @desc    Get a project template
+ * @route   GET /api/templates/:templateId
+ * @access  Private (owner, or member of the source project when shared)
+ */
+const getProjectTemplateById = asyncHandler(async (req, res) => {
+  const template = await findTemplateForUser(
+    req.params.templateId,
+    req.user.id
+  );
+
+  sendSuccess(res, { template });
+});
+
+/**
+ * @desc    Update a project template
+ * @route   PUT /api/templates/:templateId
+ * @access  Private (template owner)
+ */
+const updateProjectTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplateForUser(
+    req.params.templateId,
+    req.user.id
+  );
+  assertTemplateOwner(template, req.user.id);
+
+  // Update fields if provided
+  for (const field of [
+    "name",
+    "description",
+    "shared",
+    "statuses",
+    "transitions",
+    "automations",
+    "tasks",
+  ]) {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  }
+
+  validateTemplate(template);
+
+  const updatedTemplate = await template.save();
+
+  sendSuccess(res, { template: updatedTemplate });
+});
+
+/**
+ * @desc    Delete a project template
+ * @route   DELETE /api/templates/:templateId
+ * @access  Private (template owner)
+ */
+const deleteProjectTemplate = asyncHandler(async (req, res) => {
+  const template = await findTemplateForUser(
+    req.params.templateId,
+    req.user.id
+  );
+  assertTemplateOwner(template, req.user.id);
+
+  await template.deleteOne();
+
+  sendSuccess(res, null, { message: "Template deleted successfully" });
+});
+
+/**
+ * @desc    Save an existing project as a template
+ * @route   POST /api/projects/:projectId/template
+ * @access  Private (project:update - owner only)
+ */
+const saveProjectAsTemplate = asyncHandler(async (req, res) => {
+  const {
+    name,
+    description,
+    shared = false,
+    includeAutomations,
+    includeTasks,
+  } = req.body;
+
+  // The project was loaded and the role checked by requirePermission
+  const project = req.project;
+
+  const fields = await templateFromProject(project, {
+    includeAutomations,
+    includeTasks,
+  });
+
+  const template = await ProjectTemplate.create({
+    ...fields,
+    name: name || project.title,
+    description: description || project.description,
+    owner: req.user.id,
+    sourceProject: project._id,
+    shared,
+  });
+
+  await recordAudit(req, {
+    action: "project.saved_as_template",
+    target: auditTarget("project", project),
+    after: { template: template._id.toString(), shared },
+  });
+
+  sendSuccess(res, { template }, { statusCode: 201 });
+});
+
+/**
+ * @desc    Create a task template in a project
+ * @route   POST /api/projects/:projectId/task-templates
+ * @access  Private (task:create - owners and editors)
+ */
+const createTaskTemplate = asyncHandler(async (req, res) => {
+  const { name, titlePattern, description, priority, checklist, dueInDays } =
+    req.body;
+
+  const template = await TaskTemplate.create({
+    project: req.project._id,
+    name,
+    titlePattern,
+    description,
+    priority,
+    checklist,
+    dueInDays,
+    creator: req.user.id,
+  });
+
+  await recordAudit(req, {
+    action: "task_template.created",
+    target: auditTarget("task_template", template),
+    after: snapshot(template, AUDITED_FIELDS.task_template),
+  });
+
+  sendSuccess(res, { template }, { statusCode: 201 });
+});
+
+/**
+ * @desc    Get the task templates of a project
+ * @route   GET /api/projects/:projectId/task-templates
+ * @access  Private (task:read)
+ */
+const getTaskTemplates = asyncHandler(async (req, res) => {
+  const templates = await TaskTemplate.find({ project: req.project._id })
+    .populate("creator", "name email avatarUrl")
+    .sort({ name: 1 });
+
+  sendSuccess(res, { templates }, { meta: { count: templates.length } });
+});
+
+/**
+ * @desc    Update a task template
+ * @route   PUT /api/projects/:projectId/task-templates/:templateId
+ * @access  Private (task:create - owners and editors)
+ */
+const updateTaskTemplate = asyncHandler(async (req, res) => {
+  const template = await findTaskTemplate(req);
+  const before = snapshot(template, AUDITED_FIELDS.task_template);
+
+  // Update fields if provided
+  for (const field of [
+    "name",
+    "titlePattern",
+    "description",
+    "priority",
+    "checklist",
+    "dueInDays",
+  ]) {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  }
+
+  const updatedTemplate = await template.save();
+
+  await recordAudit(req, {
+    action: "task_template.updated",
+    target: auditTarget("task_template", template),
+    before,
+    after: snapshot(updatedTemplate, AUDITED_FIELDS.task_template),
+  });
+
+  sendSuccess(res, { template: updatedTemplate });
+});
+
+/**
+ * @desc    Delete a task template
+ * @route   DELETE /api/projects/:projectId/task-templates/:templateId
+ * @access  Private (task:create - owners and editors)
+ */
+const deleteTaskTemplate = asyncHandler(async (req, res) => {
+  const template = await findTaskTemplate(req);
+
+  await template.deleteOne();
+
+  await recordAudit(req, {
+    action: "task_template.deleted",
+    target: auditTarget("task_template", template),
+    before: snapshot(template, AUDITED_FIELDS.task_template),
+  });
+
+  sendSuccess(res, null, { message: "Task template deleted successfully" });
+});
+
+module.exports = {
+  createProjectTemplate,
+  getProjectTemplates,
+  getProjectTemplateById,
+  updateProjectTemplate,
+  deleteProjectTemplate,
+  saveProjectAsTemplate,
+  createTaskTemplate,
+  getTaskTemplates,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+};
@@ -0,0 +1,187 @@
+// controllers/viewController.js
+const asyncHandler = require("express-async-handler");
+const SavedView = require("../models/SavedView");
+const {
+  ERROR_CODES,
+  ForbiddenError,
+  NotFoundError,
+  sendSuccess,
+} = require("../utils/apiResponse");
+const { assertValidStatus } = require("../utils/validators");
+const { toList } = require("../utils/taskQuery");
+const {
+  AUDITED_FIELDS,
+  snapshot,
+  auditTarget,
+  recordAudit,
+} = require("../utils/audit");
+
+const LIST_FILTERS = ["status", "assignee", "priority", "createdBy"];
+
+/**
+ * Normalize view filters from the request body
+ * List filters may be sent as arrays or comma-separated strings
+ * @param {Object} filters - req.body.filters
+ * @param {Object} project - Project the view belongs to
+ */
+const normalizeFilters = (filters, project) => {
+  const normalized = { ...filters };
+
+  for (const field of LIST_FILTERS) {
+    if (filters[field] !== undefined) {
+      normalized[field] = toList(filters[field]);
+    }
+  }
+
+  (normalized.status || []).forEach((status) =>
+    assertValidStatus(project, status, "view status filter")
+  );
+
+  return normalized;
+};
+
+// Load a view the user can see, hiding other users' private views
+const findView = async (req) => {
+  const view = await SavedView.findVisible(
+    req.params.viewId,
+    req.project._id,
+    req.user.id
+  );
+
+  if (!view) {
+    throw new NotFoundError("View not found", ERROR_CODES.VIEW_NOT_FOUND);
+  }
+
+  return view;
+};
+
+// Views are managed by the user who saved them; project owners can also
+// manage shared views
+const assertCanManageView = (req, view) => {
+  const isViewOwner = view.owner.toString() === req.user.id;
+
+  if (!isViewOwner && !(view.shared && req.memberRole === "owner")) {
+    throw new ForbiddenError(
+      "Only the user who saved this view can change it",
+      ERROR_CODES.FORBIDDEN
+    );
+  }
+};
+
+/**
+ * @desc    Save a task list view on a project
+ * @route   POST /api/projects/:projectId/views
+ * @access  Private (task:read)
+ */
+const createView = asyncHandler(async (req, res) => {
+  const { name, filters = {}, sortBy, sortOrder, groupBy, shared } = req.body;
+
+  // The project was loaded and access-checked by requirePermission
+  const view = await SavedView.create({
+    project: req.project._id,
+    owner: req.user.id,
+    name,
+    filters: normalizeFilters(filters, req.project),
+    sortBy,
+    sortOrder,
+    groupBy,
+    shared,
+  });
+
+  await recordAudit(req, {
+    action: "view.created",
+    target: auditTarget("view", view),
+    after: snapshot(view, AUDITED_FIELDS.view),
+  });
+
+  sendSuccess(res, { view }, { statusCode: 201 });
+});
+
+/**
+ * @desc    Get the user's own and shared views of a project
+ * @route   GET /api/projects/:projectId/views
+ * @access  Private (task:read)
+ */
+const getProjectViews = asyncHandler(async (req, res) => {
+  const views = await SavedView.find({
+    project: req.project._id,
+    $or: [{ owner: req.user.id }, { shared: true }],
+  })
+    .populate("owner", "name email avatarUrl")
+    .sort({ name: 1 });
+
+  sendSuccess(res, { views }, { meta: { count: views.length } });
+});
+
+/**
+ * @desc    Get a single view
+ * @route   GET /api/projects/:projectId/views/:viewId
+ * @access  Private (task:read)
+ */
+const getViewById = asyncHandler(async (req, res) => {
+  const view = await findView(req);
+
+  await view.populate("owner", "name email avatarUrl");
+
+  sendSuccess(res, { view });
+});
+
+/**
+ * @desc    Update a view
+ * @route   PUT /api/projects/:projectId/views/:viewId
+ * @access  Private (view owner, or project owner for shared views)
+ */
+const updateView = asyncHandler(async (req, res) => {
+  const { name, filters, sortBy, sortOrder, groupBy, shared } = req.body;
+
+  const view = await findView(req);
+  assertCanManageView(req, view);
+  const before = snapshot(view, AUDITED_FIELDS.view);
+
+  // Update fields if provided; filters replace the saved ones as a whole
+  if (name) view.name = name;
+  if (filters) view.filters = normalizeFilters(filters, req.project);
+  if (sortBy) view.sortBy = sortBy;
+  if (sortOrder) view.sortOrder = sortOrder;
+  if (groupBy !== undefined) view.groupBy = groupBy;
+  if (shared !== undefined) view.shared = shared;
+
+  const updatedView = await view.save();
+
+  await recordAudit(req, {
+    action: "view.updated",
+    target: auditTarget("view", view),
+    before,
+    after: snapshot(updatedView, AUDITED_FIELDS.view),
+  });
+
+  sendSuccess(res, { view: updatedView });
+});
+
+/**
+ * @desc    Delete a view
+ * @route   DELETE /api/projects/:projectId/views/:viewId
+ * @access  Private (view owner, or project owner for shared views)
+ */
+const deleteView = asyncHandler(async (req, res) => {
+  const view = await findView(req);
+  assertCanManageView(req, view);
+
+  await view.deleteOne();
+
+  await recordAudit(req, {
+    action: "view.deleted",
+    target: auditTarget("view", view),
+    before: snapshot(view, AUDITED_FIELDS.view),
+  });
+
+  sendSuccess(res, null, { message: "View deleted successfully" });
+});
+
+module.exports = {
+  createView,
+  getProjectViews,
+  getViewById,
+  updateView,
+  deleteView,
+};
@@ -2,6 +2,14 @@
 const { verifyIdToken } = require("../config/firebase");
 const User = require("../models/User");
 const asyncHandler = require("express-async-handler");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../utils/apiResponse");
+const { getMemberRole, hasPermission } = require("../utils/permissions");
 
 /**
  * Authentication middleware
@@ -37,13 +45,15 @@ const protect = asyncHandler(async (req, res, next) => {
       }
 
       if (!user) {
-        res.status(401);
-        throw new Error("User not found");
+        throw new UnauthorizedError(
+          "User not found",
+          ERROR_CODES.USER_NOT_FOUND
+        );
       }
 
       // Add user to request object
       req.user = {
-        id: user._id,
+        id: user._id.toString(),
         name: user.name,
         email: user.email,
         firebaseUid: user.firebaseUid,
@@ -52,14 +62,15 @@ const protect = asyncHandler(async (req, res, next) => {
       next();
     } catch (error) {
       console.error("Authentication error:", error);
-      res.status(401);
-      throw new Error("Not authorized, token failed");
+      throw new UnauthorizedError(
+        "Not authorized, token failed",
+        ERROR_CODES.INVALID_TOKEN
+      );
     }
   }
 
   if (!token) {
-    res.status(401);
-    throw new Error("Not authorized, no token");
+    throw new UnauthorizedError("Not authorized, no token");
   }
 });
 
@@ -74,15 +85,19 @@ const projectAccess = asyncHandler(async (req, res, next) => {
     const projectId = req.params.projectId || req.body.project;
 
     if (!projectId) {
-      res.status(400);
-      throw new Error("Project ID is required");
+      throw new BadRequestError(
+        "Project ID is required",
+        ERROR_CODES.PROJECT_ID_REQUIRED
+      );
     }
 
     const project = await Project.findById(projectId);
 
     if (!project) {
-      res.status(404);
-      throw new Error("Project not found");
+      throw new NotFoundError(
+        "Project not found",
+        ERROR_CODES.PROJECT_NOT_FOUND
+      );
     }
 
     // Check if user is a member of the project
@@ -91,8 +106,10 @@ const projectAccess = asyncHandler(async (req, res, next) => {
     );
 
     if (!isMember) {
-      res.status(403);
-      throw new Error("Access denied: You are not a member of this project");
+      throw new ForbiddenError(
+        "Access denied: You are not a member of this project",
+        ERROR_CODES.NOT_PROJECT_MEMBER
+      );
     }
 
     // Add project to request object
@@ -100,9 +117,10 @@ const projectAccess = asyncHandler(async (req, res, next) => {
 
     next();
   } catch (error) {
-    if (error.message.includes("Cast to ObjectId failed")) {
-      res.status(400);
-      throw new Error("Invalid project ID format");
+    if (error.name === "CastError") {
+      return next(
+        new BadRequestError("Invalid project ID format", ERROR_CODES.INVALID_ID)
+      );
     }
     next(error);
   }
@@ -119,22 +137,26 @@ const projectOwner = asyncHandler(async (req, res, next) => {
     const projectId = req.params.projectId || req.body.project;
 
     if (!projectId) {
-      res.status(400);
-      throw new Error("Project ID is required");
+      throw new BadRequestError(
+        "Project ID is required",
+        ERROR_CODES.PROJECT_ID_REQUIRED
+      );
     }
 
     const project = await Project.findById(projectId);
 
     if (!project) {
-      res.status(404);
-      throw new Error("Project not found");
+      throw new NotFoundError(
+        "Project not found",
+        ERROR_CODES.PROJECT_NOT_FOUND
+      );
     }
 
     // Check if user is the owner of the project
     if (project.owner.toString() !== req.user.id.toString()) {
-      res.status(403);
-      throw new Error(
-        "Access denied: Only the project owner can perform this action"
+      throw new ForbiddenError(
+        "Access denied: Only the project owner can perform this action",
+        ERROR_CODES.NOT_PROJECT_OWNER
       );
     }
 
@@ -143,12 +165,100 @@ const projectOwner = asyncHandler(async (req, res, next) => {
 
     next();
   } catch (error) {
-    if (error.message.includes("Cast to ObjectId failed")) {
-      res.status(400);
-      throw new Error("Invalid project ID format");
+    if (error.name === "CastError") {
+      return next(
+        new BadRequestError("Invalid project ID format", ERROR_CODES.INVALID_ID)
+      );
     }
     next(error);
   }
 });
 
-module.exports = { protect, projectAccess, projectOwner };
+/**
+ * Permission middleware factory
+ * Resolves the project from the route (taskId, automationId, projectId or
+ * body.project), looks up the user's role and checks it against the
+ * permission matrix. Attaches req.project, req.memberRole and, when
+ * resolved through them, req.task or req.automation.
+ * Must be used after the protect middleware
+ *
+ * @param {String} permission - One of PERMISSIONS, e.g. "task:update"
+ * @param {Object} options - { archived: true } also resolves an archived
+ *                           task or project named in the route (restore)
+ */
+const requirePermission = (permission, { archived = false } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    const Project = require("../models/Project");
+    const Task = require("../models/Task");
+    const Automation = require("../models/Automation");
+
+    let projectId = req.params.projectId || req.body.project;
+
+    if (req.params.taskId) {
+      const taskQuery = Task.findById(req.params.taskId);
+      const task = await (archived ? taskQuery.withArchived() : taskQuery);
+
+      if (!task) {
+        throw new NotFoundError("Task not found", ERROR_CODES.TASK_NOT_FOUND);
+      }
+
+      req.task = task;
+      projectId = task.project;
+    } else if (req.params.automationId) {
+      const automation = await Automation.findById(req.params.automationId);
+
+      if (!automation) {
+        throw new NotFoundError(
+          "Automation not found",
+          ERROR_CODES.AUTOMATION_NOT_FOUND
+        );
+      }
+
+      req.automation = automation;
+      projectId = automation.project;
+    }
+
+    if (!projectId) {
+      throw new BadRequestError(
+        "Project ID is required",
+        ERROR_CODES.PROJECT_ID_REQUIRED
+      );
+    }
+
+    // Only a project named by the route itself may be archived
+    const projectQuery = Project.findById(projectId);
+    const project = await (archived && !req.task && !req.automation
+      ? projectQuery.withArchived()
+      : projectQuery);
+
+    if (!project) {
+      throw new NotFoundError(
+        "Project not found",
+        ERROR_CODES.PROJECT_NOT_FOUND
+      );
+    }
+
+    const role = getMemberRole(project, req.user.id);
+
+    if (!role) {
+      throw new ForbiddenError(
+        "Access denied: You are not a member of this project",
+        ERROR_CODES.NOT_PROJECT_MEMBER
+      );
+    }
+
+    if (!hasPermission(role, permission)) {
+      throw new ForbiddenError(
+        `Access denied: The ${role} role does not have the "${permission}" permission`,
+        ERROR_CODES.INSUFFICIENT_ROLE,
+        { role, permission }
+      );
+    }
+
+    req.project = project;
+    req.memberRole = role;
+
+    next();
+  });
+
+module.exports = { protect, projectAccess, projectOwner, requirePermission };
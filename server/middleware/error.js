@@ -1,4 +1,11 @@
 // middleware/error.js
+const {
+  ApiError,
+  ERROR_CODES,
+  NotFoundError,
+  codeForStatus,
+} = require("../utils/apiResponse");
+
 /**
  * Error handling middleware
  * Provides consistent error responses across the API
@@ -6,20 +13,67 @@
 
 // Not found error handler
 const notFound = (req, res, next) => {
-  const error = new Error(`Not Found - ${req.originalUrl}`);
-  res.status(404);
-  next(error);
+  next(
+    new NotFoundError(
+      `Not Found - ${req.originalUrl}`,
+      ERROR_CODES.ROUTE_NOT_FOUND
+    )
+  );
+};
+
+// Translate errors into a status code, error code and optional details
+const normalizeError = (err, res) => {
+  // Typed API errors carry everything we need
+  if (err instanceof ApiError) {
+    return { statusCode: err.statusCode, code: err.code, details: err.details };
+  }
+
+  // Malformed ObjectIds
+  if (err.name === "CastError") {
+    return {
+      statusCode: 400,
+      code: ERROR_CODES.INVALID_ID,
+      message: `Invalid ${err.path}: ${err.value}`,
+    };
+  }
+
+  // Mongoose schema validation
+  if (err.name === "ValidationError") {
+    return {
+      statusCode: 400,
+      code: ERROR_CODES.VALIDATION_ERROR,
+      details: Object.values(err.errors).map((e) => ({
+        field: e.path,
+        message: e.message,
+        value: e.value,
+      })),
+    };
+  }
+
+  // Unique index violations
+  if (err.code === 11000) {
+    return {
+      statusCode: 409,
+      code: ERROR_CODES.DUPLICATE_KEY,
+      details: { fields: Object.keys(err.keyValue || {}) },
+    };
+  }
+
+  // Legacy errors thrown after res.status(); use existing status code or 500
+  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  return { statusCode, code: codeForStatus(statusCode) };
 };
 
 // General error handler
 const errorHandler = (err, req, res, next) => {
-  // Set status code (use existing status code or default to 500)
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  const { statusCode, code, details, message } = normalizeError(err, res);
 
   // Send error response
   res.status(statusCode).json({
     success: false,
-    message: err.message,
+    message: message || err.message,
+    code,
+    details,
     stack: process.env.NODE_ENV === "production" ? "🥞" : err.stack,
     error: process.env.NODE_ENV === "development" ? err : undefined,
   });
@@ -1,5 +1,6 @@
 // middleware/validator.js
 const { validationResult } = require("express-validator");
+const { ERROR_CODES } = require("../utils/apiResponse");
 
 /**
  * Validation middleware
@@ -13,8 +14,10 @@ const validateRequest = (req, res, next) => {
     return res.status(400).json({
       success: false,
       message: "Validation failed",
+      code: ERROR_CODES.VALIDATION_ERROR,
       errors: errors.array().map((error) => ({
-        field: error.param,
+        // express-validator v7 renamed `param` to `path`
+        field: error.path || error.param,
         message: error.msg,
         value: error.value,
       })),
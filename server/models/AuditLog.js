@@ -0,0 +1,140 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+
+/**
+ * AuditLog Schema
+ * Append-only record of a change made to a project or anything in it
+ *
+ * @field {ObjectId} project - Reference to the Project the change belongs to
+ * @field {ObjectId} actor - User who made the change
+ * @field {String} action - What happened, e.g. "task.updated" or "member.removed"
+ * @field {Object} target - What was changed: type, id and a readable label
+ * @field {Array} changes - Changed fields with their values before and after
+ * @field {Object} metadata - Request details: ip, userAgent, method and path
+ * @field {Date} createdAt - When the change was made
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: [
+        "project.created",
+        "project.updated",
+        "project.archived",
+        "project.restored",
+        "project.cloned",
+        "project.saved_as_template",
+        "status.renamed",
+        "status.merged",
+        "member.added",
+        "member.removed",
+        "member.role_changed",
+        "task.created",
+        "task.updated",
+        "task.moved",
+        "task.archived",
+        "task.restored",
+        "task.recurrence_updated",
+        "task.recurrence_stopped",
+        "comment.added",
+        "comment.updated",
+        "comment.deleted",
+        "checklist.item_added",
+        "checklist.item_updated",
+        "checklist.item_deleted",
+        "dependency.added",
+        "dependency.removed",
+        "automation.created",
+        "automation.updated",
+        "automation.deleted",
+        "view.created",
+        "view.updated",
+        "view.deleted",
+        "task_template.created",
+        "task_template.updated",
+        "task_template.deleted",
+      ],
+    },
+    target: {
+      type: {
+        type: String,
+        required: true,
+        enum: [
+          "project",
+          "member",
+          "task",
+          "automation",
+          "view",
+          "task_template",
+        ],
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      label: {
+        type: String,
+      },
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    metadata: {
+      ip: String,
+      userAgent: String,
+      method: String,
+      path: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// The log is append-only: entries are never changed or removed
+const rejectChange = function (next) {
+  next(new Error("Audit log entries cannot be modified or deleted"));
+};
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+// Indexes for faster query performance
+auditLogSchema.index({ project: 1, createdAt: -1 });
+auditLogSchema.index({ project: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ project: 1, "target.id": 1, createdAt: -1 });
+auditLogSchema.index({ project: 1, actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,84 @@
+// models/Comment.js
+const mongoose = require("mongoose");
+
+/**
+ * Comment Schema
+ * Represents a comment on a task. Comments live in their own collection so
+ * a long discussion does not grow the task document and can be paged.
+ *
+ * @field {ObjectId} task - Reference to the Task the comment belongs to
+ * @field {ObjectId} project - Reference to the Project of the task
+ * @field {ObjectId} user - Author of the comment
+ * @field {String} text - Comment text (empty once the comment is deleted)
+ * @field {ObjectId} parent - Top-level comment this is a reply to (null for top-level comments)
+ * @field {Array} mentions - Project members @mentioned in the text
+ * @field {Date} editedAt - When the text was last edited
+ * @field {Array} edits - Previous versions of the text with when they were replaced, oldest first
+ * @field {Date} deletedAt - When a comment with replies was deleted; it stays as a placeholder
+ * @field {ObjectId} deletedBy - User who deleted the comment
+ * @field {Date} createdAt - When the comment was posted
+ */
+const commentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    text: {
+      type: String,
+      // Deleted placeholders keep no text
+      required: function () {
+        return !this.deletedAt;
+      },
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    editedAt: {
+      type: Date,
+    },
+    edits: [
+      {
+        _id: false,
+        text: { type: String, required: true },
+        replacedAt: { type: Date, default: Date.now },
+      },
+    ],
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for faster query performance
+commentSchema.index({ task: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ project: 1 });
+commentSchema.index({ text: "text" });
+
+module.exports = mongoose.model("Comment", commentSchema);
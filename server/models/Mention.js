@@ -0,0 +1,60 @@
+// models/Mention.js
+const mongoose = require("mongoose");
+
+/**
+ * Mention Schema
+ * Records that a user was @mentioned in a comment or a task description,
+ * so every user can list where they were mentioned
+ *
+ * @field {ObjectId} user - Reference to the mentioned User
+ * @field {ObjectId} project - Reference to the Project of the task
+ * @field {ObjectId} task - Reference to the Task mentioned in or commented on
+ * @field {ObjectId} comment - Reference to the Comment (null for a task description)
+ * @field {String} source - Where the mention was written: comment or description
+ * @field {ObjectId} mentionedBy - User who wrote the mention
+ * @field {Date} createdAt - When the user was mentioned
+ */
+const mentionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    source: {
+      type: String,
+      required: true,
+      enum: ["comment", "description"],
+    },
+    mentionedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for faster query performance
+mentionSchema.index({ user: 1, createdAt: -1 });
+mentionSchema.index({ task: 1, comment: 1 });
+mentionSchema.index({ project: 1 });
+
+module.exports = mongoose.model("Mention", mentionSchema);
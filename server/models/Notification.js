@@ -26,6 +26,7 @@ const notificationSchema = new mongoose.Schema({
       "task_assignment",
       "task_status_change",
       "task_comment",
+      "mention",
       "project_invitation",
       "due_date_reminder",
       "automation_triggered",
@@ -54,6 +55,20 @@ const notificationSchema = new mongoose.Schema({
   },
 });
 
+// Remember whether the document was new for the post-save hook
+notificationSchema.pre("save", function (next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Push new notifications to the recipient's open sockets
+notificationSchema.post("save", function (doc) {
+  if (doc.$locals.wasNew) {
+    const { emitToUser } = require("../websocket/socket");
+    emitToUser(doc.recipient, "notification:new", { notification: doc });
+  }
+});
+
 // Indexes for faster query performance
 notificationSchema.index({ recipient: 1, read: 1 });
 notificationSchema.index({ createdAt: 1 });
@@ -1,5 +1,6 @@
 // models/Project.js
 const mongoose = require("mongoose");
+const archivable = require("../utils/archivable");
 
 /**
  * Project Schema
@@ -9,7 +10,10 @@ const mongoose = require("mongoose");
  * @field {String} description - Project description
  * @field {ObjectId} owner - Reference to the User who created the project
  * @field {Array} members - Collection of Users who have access to the project
- * @field {Array} statuses - Custom task statuses for this project
+ * @field {Array} statuses - Custom task statuses for this project (isFinal marks "done" columns, wipLimit caps the column)
+ * @field {Array} transitions - Allowed status changes, optionally limited to roles (empty allows any change)
+ * @field {Date} archivedAt - When the project was moved to the trash (null while live)
+ * @field {ObjectId} archivedBy - User who moved the project to the trash
  * @field {Date} createdAt - When the project was created
  * @field {Date} updatedAt - When the project was last updated
  */
@@ -59,18 +63,54 @@ const projectSchema = new mongoose.Schema(
             type: Number,
             required: true,
           },
+          isFinal: {
+            type: Boolean,
+            default: false,
+          },
+          // Maximum tasks in this status, overall and per assignee
+          wipLimit: {
+            type: Number,
+            min: 1,
+            default: null,
+          },
+          wipLimitPerAssignee: {
+            type: Number,
+            min: 1,
+            default: null,
+          },
         },
       ],
       default: [
         { name: "To Do", order: 1 },
         { name: "In Progress", order: 2 },
-        { name: "Done", order: 3 },
+        { name: "Done", order: 3, isFinal: true },
       ],
       validate: [
         (arr) => arr.length >= 1,
         "Project must have at least one status",
       ],
     },
+    transitions: [
+      {
+        from: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        to: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        // Roles allowed to make this move; empty means any role
+        roles: [
+          {
+            type: String,
+            enum: ["owner", "editor", "viewer"],
+          },
+        ],
+      },
+    ],
   },
   {
     timestamps: true,
@@ -94,8 +134,42 @@ projectSchema.pre("save", function (next) {
   next();
 });
 
+// Names of the statuses that count as finished work
+// Falls back to the last status by order when none is flagged as final
+projectSchema.methods.getFinalStatuses = function () {
+  const flagged = this.statuses.filter((s) => s.isFinal).map((s) => s.name);
+  if (flagged.length > 0) return flagged;
+
+  const last = [...this.statuses].sort((a, b) => a.order - b.order).pop();
+  return last ? [last.name] : [];
+};
+
+// Statuses a task in `from` may move to
+// Without transition rules every status is allowed; role is omitted for
+// system moves (automations) so only the graph applies
+projectSchema.methods.getAllowedTransitions = function (from, role) {
+  if (!this.transitions || this.transitions.length === 0) {
+    return this.statuses.map((s) => s.name).filter((name) => name !== from);
+  }
+
+  return this.transitions
+    .filter(
+      (t) =>
+        t.from === from &&
+        (!role || t.roles.length === 0 || t.roles.includes(role))
+    )
+    .map((t) => t.to);
+};
+
+// Soft delete: archived projects are hidden from reads
+projectSchema.plugin(archivable);
+
 // Indexes for faster query performance
 projectSchema.index({ owner: 1 });
 projectSchema.index({ "members.user": 1 });
+projectSchema.index(
+  { title: "text", description: "text" },
+  { name: "ProjectTextIndex", weights: { title: 10, description: 4 } }
+);
 
 module.exports = mongoose.model("Project", projectSchema);
@@ -0,0 +1,103 @@
+// models/ProjectTemplate.js
+const mongoose = require("mongoose");
+
+/**
+ * ProjectTemplate Schema
+ * Reusable project setup: statuses, workflow, automations and starter tasks
+ *
+ * @field {String} name - Name of the template
+ * @field {String} description - What the template is for
+ * @field {ObjectId} owner - User who created the template
+ * @field {ObjectId} sourceProject - Project the template was saved from, if any
+ * @field {Boolean} shared - Whether members of the source project can use it
+ * @field {Array} statuses - Statuses for new projects (same shape as Project.statuses)
+ * @field {Array} transitions - Workflow transitions (same shape as Project.transitions)
+ * @field {Array} automations - Automation rules (name, trigger, action)
+ * @field {Array} tasks - Starter tasks; titlePattern supports {{placeholders}}
+ * @field {Date} createdAt - When the template was created
+ * @field {Date} updatedAt - When the template was last updated
+ */
+const projectTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sourceProject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    shared: {
+      type: Boolean,
+      default: false,
+    },
+    statuses: {
+      type: [
+        {
+          _id: false,
+          name: { type: String, required: true, trim: true },
+          order: { type: Number, required: true },
+          isFinal: { type: Boolean, default: false },
+          wipLimit: { type: Number, min: 1, default: null },
+          wipLimitPerAssignee: { type: Number, min: 1, default: null },
+        },
+      ],
+      validate: [
+        (arr) => arr.length >= 1,
+        "Template must have at least one status",
+      ],
+    },
+    transitions: [
+      {
+        _id: false,
+        from: { type: String, required: true, trim: true },
+        to: { type: String, required: true, trim: true },
+        roles: [{ type: String, enum: ["owner", "editor", "viewer"] }],
+      },
+    ],
+    automations: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        trigger: { type: mongoose.Schema.Types.Mixed, required: true },
+        action: { type: mongoose.Schema.Types.Mixed, required: true },
+        active: { type: Boolean, default: true },
+      },
+    ],
+    tasks: [
+      {
+        _id: false,
+        titlePattern: { type: String, required: true, trim: true },
+        description: { type: String, trim: true },
+        status: { type: String, trim: true },
+        priority: {
+          type: String,
+          enum: ["low", "medium", "high", "urgent"],
+          default: "medium",
+        },
+        checklist: [{ type: String, trim: true }],
+        dueInDays: { type: Number, min: 0, default: null },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for faster query performance
+projectTemplateSchema.index({ owner: 1 });
+projectTemplateSchema.index({ sourceProject: 1, shared: 1 });
+
+module.exports = mongoose.model("ProjectTemplate", projectTemplateSchema);
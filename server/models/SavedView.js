@@ -0,0 +1,123 @@
+// models/SavedView.js
+const mongoose = require("mongoose");
+const { SORTABLE_FIELDS, GROUPABLE_FIELDS } = require("../utils/taskQuery");
+
+/**
+ * SavedView Schema
+ * A named task list query (filters, sort and grouping) saved by a user on
+ * a project, optionally shared with the other project members
+ *
+ * @field {ObjectId} project - Reference to the Project the view belongs to
+ * @field {ObjectId} owner - User who saved the view
+ * @field {String} name - Name of the view
+ * @field {Object} filters - Task list filters, same meaning as the query params
+ * @field {String} sortBy - Field to sort by
+ * @field {String} sortOrder - asc or desc (ascending by default for rank)
+ * @field {String} groupBy - Field to group the tasks by
+ * @field {Boolean} shared - Whether other project members can use the view
+ * @field {Date} createdAt - When the view was created
+ * @field {Date} updatedAt - When the view was last updated
+ */
+const savedViewSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "View name is required"],
+      trim: true,
+      maxlength: [50, "View name cannot be more than 50 characters"],
+    },
+    filters: {
+      status: [String],
+      assignee: [String],
+      priority: [String],
+      createdBy: [String],
+      dueDate: String,
+      dueBefore: String,
+      dueAfter: String,
+      overdue: Boolean,
+      unassigned: Boolean,
+      text: String,
+    },
+    sortBy: {
+      type: String,
+      enum: SORTABLE_FIELDS,
+      default: "createdAt",
+    },
+    // Unset follows the field's default direction (see buildTaskSort)
+    sortOrder: {
+      type: String,
+      enum: ["asc", "desc"],
+    },
+    groupBy: {
+      type: String,
+      enum: [...GROUPABLE_FIELDS, null],
+      default: null,
+    },
+    shared: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for faster query performance
+savedViewSchema.index({ project: 1, owner: 1 });
+savedViewSchema.index({ project: 1, shared: 1 });
+
+/**
+ * Find a view of a project that the user may use: their own or a shared one
+ * @returns {Promise<Object|null>} The view, or null when not visible
+ */
+savedViewSchema.statics.findVisible = function (viewId, projectId, userId) {
+  return this.findOne({
+    _id: viewId,
+    project: projectId,
+    $or: [{ owner: userId }, { shared: true }],
+  });
+};
+
+/**
+ * Convert the view into task list query params
+ * @returns {Object} Query params understood by buildTaskFilter/buildTaskSort
+ */
+savedViewSchema.methods.toQuery = function () {
+  const query = {};
+  const filters = this.filters || {};
+
+  for (const field of ["status", "assignee", "priority", "createdBy"]) {
+    if (filters[field] && filters[field].length) {
+      query[field] = filters[field].join(",");
+    }
+  }
+
+  for (const field of ["dueDate", "dueBefore", "dueAfter", "text"]) {
+    if (filters[field]) query[field] = filters[field];
+  }
+
+  for (const field of ["overdue", "unassigned"]) {
+    if (filters[field] !== undefined && filters[field] !== null) {
+      query[field] = String(filters[field]);
+    }
+  }
+
+  query.sortBy = this.sortBy;
+  if (this.sortOrder) query.sortOrder = this.sortOrder;
+  if (this.groupBy) query.groupBy = this.groupBy;
+
+  return query;
+};
+
+module.exports = mongoose.model("SavedView", savedViewSchema);
@@ -1,5 +1,84 @@
 // models/Task.js
 const mongoose = require("mongoose");
+const archivable = require("../utils/archivable");
+
+// Recurrence rule, see utils/recurrence.js
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      required: true,
+      enum: ["daily", "weekly", "monthly", "yearly"],
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Weekly rules: days of the week, 0 = Sunday
+    byWeekday: [
+      {
+        type: Number,
+        min: 0,
+        max: 6,
+      },
+    ],
+    // Monthly rules: day of the month
+    byMonthDay: {
+      type: Number,
+      min: 1,
+      max: 31,
+    },
+    // Total number of instances in the series
+    count: {
+      type: Number,
+      min: 1,
+    },
+    until: {
+      type: Date,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+// Fields whose changes are recorded in the task history
+const HISTORY_FIELDS = [
+  "title",
+  "description",
+  "dueDate",
+  "priority",
+  "status",
+  "assignee",
+];
+
+// History action per field; other fields are recorded as "updated"
+const HISTORY_ACTIONS = {
+  status: "status_changed",
+  assignee: "assigned",
+};
+
+// Stored value of a field; a populated assignee is reduced to its id
+const historyValue = (doc, field) => {
+  const value = doc.get(field);
+  if (value === undefined || value === null) return null;
+  return value._id || value;
+};
+
+const pickHistoryFields = (doc) =>
+  Object.fromEntries(
+    HISTORY_FIELDS.map((field) => [field, historyValue(doc, field)])
+  );
+
+// ObjectIds and dates are compared by value
+const sameHistoryValue = (a, b) => {
+  const normalize = (value) =>
+    value instanceof Date ? value.getTime() : value && value.toString();
+  return normalize(a) === normalize(b);
+};
 
 /**
  * Task Schema
@@ -11,8 +90,19 @@ const mongoose = require("mongoose");
  * @field {String} status - Current status of the task (must match a status in the project)
  * @field {ObjectId} assignee - Reference to the User assigned to this task
  * @field {Date} dueDate - When the task is due
- * @field {Array} comments - Collection of comments on this task
- * @field {Array} history - Task history tracking status changes, assignments, etc.
+ * @field {ObjectId} parent - Parent task when this task is a subtask
+ * @field {Array} checklist - Lightweight checklist items on this task
+ * @field {Number} rank - Manual position inside the status column (lower is higher up)
+ * @field {Array} history - Changes to the task: actor, field and the values before and after
+ * @field {Array} blockedBy - Tasks in the same project that must be finished first
+ * @field {Array} blocks - Tasks in the same project waiting on this task
+ * @field {Object} recurrence - Recurrence rule; the next instance is created when this one is done or overdue
+ * @field {ObjectId} seriesId - First task of the recurring series this task belongs to
+ * @field {Number} occurrence - Position of this task in its series (1-based)
+ * @field {Date} recurrenceSpawnedAt - When the next instance of the series was created from this task
+ * @field {Date} dueDateTriggeredFor - Due date the task_due_date_passed automations last fired for
+ * @field {Date} archivedAt - When the task was moved to the trash (null while live)
+ * @field {ObjectId} archivedBy - User who moved the task to the trash
  * @field {Date} createdAt - When the task was created
  * @field {Date} updatedAt - When the task was last updated
  */
@@ -50,16 +140,49 @@ const taskSchema = new mongoose.Schema(
       enum: ["low", "medium", "high", "urgent"],
       default: "medium",
     },
-    comments: [
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    rank: {
+      type: Number,
+      default: null,
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null,
+    },
+    occurrence: {
+      type: Number,
+      default: 1,
+    },
+    recurrenceSpawnedAt: {
+      type: Date,
+      default: null,
+    },
+    checklist: [
       {
-        user: {
+        text: {
+          type: String,
+          required: [true, "Checklist item text is required"],
+          trim: true,
+        },
+        done: {
+          type: Boolean,
+          default: false,
+        },
+        completedBy: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "User",
-          required: true,
         },
-        text: {
-          type: String,
-          required: true,
+        completedAt: {
+          type: Date,
         },
         createdAt: {
           type: Date,
@@ -73,6 +196,11 @@ const taskSchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: "User",
         },
+        // Automation that made the change, when it was not a user
+        automation: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Automation",
+        },
         action: {
           type: String,
           required: true,
@@ -84,6 +212,10 @@ const taskSchema = new mongoose.Schema(
             "commented",
           ],
         },
+        // Changed field for "updated", "status_changed" and "assigned"
+        field: {
+          type: String,
+        },
         oldValue: {
           type: mongoose.Schema.Types.Mixed,
         },
@@ -101,6 +233,22 @@ const taskSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
+    blocks: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
+    dueDateTriggeredFor: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -127,16 +275,6 @@ taskSchema.pre("save", async function (next) {
         );
       }
 
-      // Record the status change in history if not a new task
-      if (!this.isNew && this.isModified("status")) {
-        this.history.push({
-          action: "status_changed",
-          oldValue: this._oldStatus,
-          newValue: this.status,
-          timestamp: Date.now(),
-        });
-      }
-
       next();
     } catch (error) {
       next(error);
@@ -146,15 +284,37 @@ taskSchema.pre("save", async function (next) {
   }
 });
 
-// Track old status for history
-taskSchema.pre("findOneAndUpdate", function (next) {
-  this._oldStatus = this.get("status");
+// Remember the stored values of the fields tracked in history
+taskSchema.post("init", function () {
+  this.$locals.original = pickHistoryFields(this);
+});
+
+// A recurring task without a series starts its own
+taskSchema.pre("validate", function (next) {
+  if (this.recurrence && !this.seriesId) {
+    this.seriesId = this._id;
+  }
   next();
 });
 
-// Track task creation in history
+// Put tasks that enter a column (new or moved by status) at its bottom,
+// unless a position was set explicitly
+taskSchema.pre("save", async function (next) {
+  if ((this.isNew || this.isModified("status")) && !this.isModified("rank")) {
+    try {
+      // Lazy require to avoid a circular import with the rank helpers
+      const { getBottomRank } = require("../utils/taskRank");
+      this.rank = await getBottomRank(this.project, this.status, this._id);
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Track task creation in history, unless the creator supplied the entry
 taskSchema.pre("save", function (next) {
-  if (this.isNew) {
+  if (this.isNew && !this.history.some((entry) => entry.action === "created")) {
     this.history.push({
       user: this.creator,
       action: "created",
@@ -165,22 +325,71 @@ taskSchema.pre("save", function (next) {
   next();
 });
 
-// Track assignment changes in history
+// Record one history entry per changed field, with the actor set by
+// setActor and the values before and after the change
 taskSchema.pre("save", function (next) {
-  if (!this.isNew && this.isModified("assignee")) {
+  if (this.isNew || !this.$locals.original) return next();
+
+  const { user = null, automation = null } = this.$locals.actor || {};
+  const timestamp = Date.now();
+
+  for (const field of HISTORY_FIELDS) {
+    if (!this.isModified(field)) continue;
+
+    const oldValue = this.$locals.original[field];
+    const newValue = historyValue(this, field);
+
+    if (sameHistoryValue(oldValue, newValue)) continue;
+
     this.history.push({
-      action: "assigned",
-      oldValue: this._oldAssignee,
-      newValue: this.assignee,
-      timestamp: Date.now(),
+      user,
+      automation,
+      action: HISTORY_ACTIONS[field] || "updated",
+      field,
+      oldValue,
+      newValue,
+      timestamp,
     });
   }
   next();
 });
 
+// The saved values become the baseline for the next change
+taskSchema.post("save", function () {
+  this.$locals.original = pickHistoryFields(this);
+});
+
+/**
+ * Set who is making the next change, for the history entries
+ * @param {String|null} user - User making the change (null for the system)
+ * @param {String|null} automation - Automation making the change, if any
+ */
+taskSchema.methods.setActor = function (user, automation = null) {
+  this.$locals.actor = { user, automation };
+  return this;
+};
+
+// Soft delete: archived tasks are hidden from reads
+taskSchema.plugin(archivable);
+
 // Indexes for faster query performance
 taskSchema.index({ project: 1, status: 1 });
+taskSchema.index({ project: 1, status: 1, rank: 1 });
 taskSchema.index({ assignee: 1 });
 taskSchema.index({ dueDate: 1 }, { sparse: true });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ project: 1, parent: 1 });
+taskSchema.index({ seriesId: 1 }, { sparse: true });
+taskSchema.index(
+  { "recurrence.active": 1, recurrenceSpawnedAt: 1, dueDate: 1 },
+  { sparse: true }
+);
+taskSchema.index(
+  { title: "text", description: "text" },
+  {
+    name: "TaskTextIndex",
+    weights: { title: 10, description: 4 },
+  }
+);
 
 module.exports = mongoose.model("Task", taskSchema);
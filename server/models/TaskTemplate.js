@@ -0,0 +1,70 @@
+// models/TaskTemplate.js
+const mongoose = require("mongoose");
+
+/**
+ * TaskTemplate Schema
+ * Reusable starting point for tasks in a project
+ *
+ * @field {ObjectId} project - Reference to the Project the template belongs to
+ * @field {String} name - Name of the template
+ * @field {String} titlePattern - Task title; {{placeholders}} are filled in on use
+ * @field {String} description - Task description
+ * @field {String} priority - Task priority
+ * @field {Array} checklist - Checklist item texts
+ * @field {Number} dueInDays - Due date offset from the day the task is created
+ * @field {ObjectId} creator - User who created the template
+ * @field {Date} createdAt - When the template was created
+ * @field {Date} updatedAt - When the template was last updated
+ */
+const taskTemplateSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+    },
+    titlePattern: {
+      type: String,
+      required: [true, "Title pattern is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    checklist: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    dueInDays: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for faster query performance
+taskTemplateSchema.index({ project: 1 });
+
+module.exports = mongoose.model("TaskTemplate", taskTemplateSchema);
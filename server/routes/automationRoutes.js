@@ -1,9 +1,9 @@
 // routes/automationRoutes.js
 const express = require("express");
 const router = express.Router();
-const { check } = require("express-validator");
 const { validateRequest } = require("../middleware/validator");
-const { protect, projectAccess, projectOwner } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const {
   createAutomation,
   getProjectAutomations,
@@ -12,21 +12,18 @@ const {
   deleteAutomation,
   toggleAutomation,
 } = require("../controllers/automationController");
+const {
+  automationValidators,
+  projectValidators,
+} = require("../utils/validators");
 
 // Create a new automation
 router.post(
   "/",
   protect,
-  [
-    check("project", "Project ID is required").not().isEmpty(),
-    check("project", "Project ID must be a valid MongoDB ID").isMongoId(),
-    check("name", "Automation name is required").not().isEmpty(),
-    check("trigger.type", "Trigger type is required").not().isEmpty(),
-    check("action.type", "Action type is required").not().isEmpty(),
-    check("action.params", "Action parameters are required").not().isEmpty(),
-  ],
+  automationValidators.create,
   validateRequest,
-  projectAccess,
+  requirePermission(PERMISSIONS.AUTOMATION_CREATE),
   createAutomation
 );
 
@@ -34,30 +31,50 @@ router.post(
 router.get(
   "/project/:projectId",
   protect,
-  projectAccess,
+  projectValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.AUTOMATION_READ),
   getProjectAutomations
 );
 
 // Get a single automation by ID
-router.get("/:automationId", protect, getAutomationById);
+router.get(
+  "/:automationId",
+  protect,
+  automationValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.AUTOMATION_READ),
+  getAutomationById
+);
 
 // Update an automation
 router.put(
   "/:automationId",
   protect,
-  [
-    check("name", "Automation name must be at least 3 characters")
-      .optional()
-      .isLength({ min: 3 }),
-  ],
+  automationValidators.update,
   validateRequest,
+  requirePermission(PERMISSIONS.AUTOMATION_UPDATE),
   updateAutomation
 );
 
 // Delete an automation
-router.delete("/:automationId", protect, deleteAutomation);
+router.delete(
+  "/:automationId",
+  protect,
+  automationValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.AUTOMATION_DELETE),
+  deleteAutomation
+);
 
 // Toggle automation active state
-router.put("/:automationId/toggle", protect, toggleAutomation);
+router.put(
+  "/:automationId/toggle",
+  protect,
+  automationValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.AUTOMATION_UPDATE),
+  toggleAutomation
+);
 
 module.exports = router;
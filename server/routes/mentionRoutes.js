@@ -0,0 +1,18 @@
+// routes/mentionRoutes.js
+const express = require("express");
+const router = express.Router();
+const { validateRequest } = require("../middleware/validator");
+const { protect } = require("../middleware/auth");
+const { getUserMentions } = require("../controllers/mentionController");
+const { mentionValidators } = require("../utils/validators");
+
+// Get where the current user was mentioned
+router.get(
+  "/",
+  protect,
+  mentionValidators.list,
+  validateRequest,
+  getUserMentions
+);
+
+module.exports = router;
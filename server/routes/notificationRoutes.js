@@ -1,7 +1,6 @@
 // routes/notificationRoutes.js
 const express = require("express");
 const router = express.Router();
-const { check } = require("express-validator");
 const { validateRequest } = require("../middleware/validator");
 const { protect } = require("../middleware/auth");
 const {
@@ -10,20 +9,22 @@ const {
   markAllNotificationsAsRead,
   deleteNotification,
 } = require("../controllers/notificationController");
+const { notificationValidators } = require("../utils/validators");
 
 // Get all notifications for the current user
-router.get("/", protect, getUserNotifications);
+router.get(
+  "/",
+  protect,
+  notificationValidators.list,
+  validateRequest,
+  getUserNotifications
+);
 
 // Mark a notification as read
 router.put(
   "/:notificationId/read",
   protect,
-  [
-    check(
-      "notificationId",
-      "Notification ID must be a valid MongoDB ID"
-    ).isMongoId(),
-  ],
+  notificationValidators.idParam,
   validateRequest,
   markNotificationAsRead
 );
@@ -35,12 +36,7 @@ router.put("/read-all", protect, markAllNotificationsAsRead);
 router.delete(
   "/:notificationId",
   protect,
-  [
-    check(
-      "notificationId",
-      "Notification ID must be a valid MongoDB ID"
-    ).isMongoId(),
-  ],
+  notificationValidators.idParam,
   validateRequest,
   deleteNotification
 );
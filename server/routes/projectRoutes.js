@@ -1,32 +1,58 @@
 // routes/projectRoutes.js
 const express = require("express");
 const router = express.Router();
-const { check } = require("express-validator");
 const { validateRequest } = require("../middleware/validator");
-const { protect, projectAccess, projectOwner } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const {
   createProject,
   getUserProjects,
   getProjectById,
   updateProject,
+  renameProjectStatus,
+  mergeProjectStatus,
   deleteProject,
+  getTrashedProjects,
+  restoreProject,
+  getProjectTrash,
+  cloneProject,
   addProjectMember,
   removeProjectMember,
   updateMemberRole,
 } = require("../controllers/projectController");
 const { getProjectTasks } = require("../controllers/taskController");
+const {
+  getProjectDependencyGraph,
+} = require("../controllers/dependencyController");
+const {
+  createView,
+  getProjectViews,
+  getViewById,
+  updateView,
+  deleteView,
+} = require("../controllers/viewController");
+const {
+  saveProjectAsTemplate,
+  createTaskTemplate,
+  getTaskTemplates,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+} = require("../controllers/templateController");
+const { getProjectAudit } = require("../controllers/auditController");
+const {
+  projectValidators,
+  taskValidators,
+  memberValidators,
+  viewValidators,
+  templateValidators,
+  auditValidators,
+} = require("../utils/validators");
 
 // Create a new project
 router.post(
   "/",
   protect,
-  [
-    check("title", "Title is required").not().isEmpty(),
-    check("title", "Title must be between 3 and 100 characters").isLength({
-      min: 3,
-      max: 100,
-    }),
-  ],
+  projectValidators.create,
   validateRequest,
   createProject
 );
@@ -34,41 +60,226 @@ router.post(
 // Get all projects for the current user
 router.get("/", protect, getUserProjects);
 
+// Get the user's archived projects
+router.get("/trash", protect, getTrashedProjects);
+
 // Get a single project by ID
-router.get("/:projectId", protect, projectAccess, getProjectById);
+router.get(
+  "/:projectId",
+  protect,
+  projectValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.PROJECT_READ),
+  getProjectById
+);
 
 // Get all tasks for a project
-router.get("/:projectId/tasks", protect, projectAccess, getProjectTasks);
+router.get(
+  "/:projectId/tasks",
+  protect,
+  taskValidators.list,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getProjectTasks
+);
+
+// Get the task dependency graph of a project
+router.get(
+  "/:projectId/dependencies",
+  protect,
+  projectValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getProjectDependencyGraph
+);
+
+// Save a task list view
+router.post(
+  "/:projectId/views",
+  protect,
+  viewValidators.create,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  createView
+);
+
+// Get the user's own and shared views
+router.get(
+  "/:projectId/views",
+  protect,
+  viewValidators.list,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getProjectViews
+);
+
+// Get a single view
+router.get(
+  "/:projectId/views/:viewId",
+  protect,
+  viewValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getViewById
+);
+
+// Update a view
+router.put(
+  "/:projectId/views/:viewId",
+  protect,
+  viewValidators.update,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  updateView
+);
+
+// Delete a view
+router.delete(
+  "/:projectId/views/:viewId",
+  protect,
+  viewValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  deleteView
+);
+
+// Save a task template
+router.post(
+  "/:projectId/task-templates",
+  protect,
+  templateValidators.taskCreate,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_CREATE),
+  createTaskTemplate
+);
+
+// Get the task templates of a project
+router.get(
+  "/:projectId/task-templates",
+  protect,
+  templateValidators.taskList,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getTaskTemplates
+);
+
+// Update a task template
+router.put(
+  "/:projectId/task-templates/:templateId",
+  protect,
+  templateValidators.taskUpdate,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_CREATE),
+  updateTaskTemplate
+);
+
+// Delete a task template
+router.delete(
+  "/:projectId/task-templates/:templateId",
+  protect,
+  templateValidators.taskIdParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_CREATE),
+  deleteTaskTemplate
+);
+
+// Save the project as a project template
+router.post(
+  "/:projectId/template",
+  protect,
+  templateValidators.fromProject,
+  validateRequest,
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  saveProjectAsTemplate
+);
+
+// Get or export the project audit log
+router.get(
+  "/:projectId/audit",
+  protect,
+  auditValidators.list,
+  validateRequest,
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  getProjectAudit
+);
 
 // Update a project
 router.put(
   "/:projectId",
   protect,
-  projectOwner,
-  [
-    check("title", "Title must be between 3 and 100 characters")
-      .optional()
-      .isLength({ min: 3, max: 100 }),
-  ],
+  projectValidators.update,
   validateRequest,
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
   updateProject
 );
 
-// Delete a project
-router.delete("/:projectId", protect, projectOwner, deleteProject);
+// Rename a status, migrating tasks, automations and views
+router.put(
+  "/:projectId/statuses/:statusName",
+  protect,
+  projectValidators.renameStatus,
+  validateRequest,
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  renameProjectStatus
+);
+
+// Merge a status into another one
+router.post(
+  "/:projectId/statuses/:statusName/merge",
+  protect,
+  projectValidators.mergeStatus,
+  validateRequest,
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  mergeProjectStatus
+);
+
+// Move a project to the trash
+router.delete(
+  "/:projectId",
+  protect,
+  projectValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.PROJECT_DELETE),
+  deleteProject
+);
+
+// Restore an archived project
+router.post(
+  "/:projectId/restore",
+  protect,
+  projectValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.PROJECT_DELETE, { archived: true }),
+  restoreProject
+);
+
+// Get the archived tasks of a project
+router.get(
+  "/:projectId/trash",
+  protect,
+  projectValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getProjectTrash
+);
+
+// Clone a project
+router.post(
+  "/:projectId/clone",
+  protect,
+  projectValidators.clone,
+  validateRequest,
+  requirePermission(PERMISSIONS.PROJECT_UPDATE),
+  cloneProject
+);
 
 // Add a member to project
 router.post(
   "/:projectId/members",
   protect,
-  projectOwner,
-  [
-    check("email", "Valid email is required").isEmail(),
-    check("role", "Role must be either editor or viewer")
-      .optional()
-      .isIn(["editor", "viewer"]),
-  ],
+  memberValidators.add,
   validateRequest,
+  requirePermission(PERMISSIONS.MEMBER_ADD),
   addProjectMember
 );
 
@@ -76,7 +287,9 @@ router.post(
 router.delete(
   "/:projectId/members/:userId",
   protect,
-  projectOwner,
+  memberValidators.remove,
+  validateRequest,
+  requirePermission(PERMISSIONS.MEMBER_REMOVE),
   removeProjectMember
 );
 
@@ -84,14 +297,9 @@ router.delete(
 router.put(
   "/:projectId/members/:userId",
   protect,
-  projectOwner,
-  [
-    check("role", "Role must be either editor or viewer").isIn([
-      "editor",
-      "viewer",
-    ]),
-  ],
+  memberValidators.updateRole,
   validateRequest,
+  requirePermission(PERMISSIONS.MEMBER_UPDATE_ROLE),
   updateMemberRole
 );
 
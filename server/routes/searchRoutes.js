@@ -0,0 +1,12 @@
+// routes/searchRoutes.js
+const express = require("express");
+const router = express.Router();
+const { validateRequest } = require("../middleware/validator");
+const { protect } = require("../middleware/auth");
+const { search } = require("../controllers/searchController");
+const { searchValidators } = require("../utils/validators");
+
+// Search tasks, comments and projects of the current user
+router.get("/", protect, searchValidators.search, validateRequest, search);
+
+module.exports = router;
@@ -1,64 +1,237 @@
 // routes/taskRoutes.js
 const express = require("express");
 const router = express.Router();
-const { check } = require("express-validator");
 const { validateRequest } = require("../middleware/validator");
-const { protect, projectAccess } = require("../middleware/auth");
+const { protect, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
 const {
   createTask,
   getTaskById,
+  getTaskHistory,
   updateTask,
+  moveTask,
+  updateTaskRecurrence,
+  stopTaskRecurrence,
   deleteTask,
-  addTaskComment,
+  restoreTask,
 } = require("../controllers/taskController");
+const {
+  getTaskComments,
+  getTaskComment,
+  addTaskComment,
+  updateTaskComment,
+  deleteTaskComment,
+} = require("../controllers/commentController");
+const {
+  getTaskDependencies,
+  addTaskDependency,
+  removeTaskDependency,
+} = require("../controllers/dependencyController");
+const {
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+} = require("../controllers/checklistController");
+const { taskValidators } = require("../utils/validators");
 
 // Create a new task
 router.post(
   "/",
   protect,
-  [
-    check("title", "Title is required").not().isEmpty(),
-    check("title", "Title must be between 3 and 100 characters").isLength({
-      min: 3,
-      max: 100,
-    }),
-    check("project", "Project ID is required").not().isEmpty(),
-    check("project", "Project ID must be a valid MongoDB ID").isMongoId(),
-  ],
-  validateRequest,
-  projectAccess,
+  taskValidators.create,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_CREATE),
   createTask
 );
 
 // Get a task by ID
-router.get("/:taskId", protect, getTaskById);
+router.get(
+  "/:taskId",
+  protect,
+  taskValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getTaskById
+);
+
+// Get the change history of a task
+router.get(
+  "/:taskId/history",
+  protect,
+  taskValidators.history,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getTaskHistory
+);
 
 // Update a task
 router.put(
   "/:taskId",
   protect,
-  [
-    check("title", "Title must be between 3 and 100 characters")
-      .optional()
-      .isLength({ min: 3, max: 100 }),
-    check("priority", "Priority must be low, medium, high, or urgent")
-      .optional()
-      .isIn(["low", "medium", "high", "urgent"]),
-  ],
+  taskValidators.update,
   validateRequest,
+  requirePermission(PERMISSIONS.TASK_UPDATE),
   updateTask
 );
 
-// Delete a task
-router.delete("/:taskId", protect, deleteTask);
+// Move a task within or across status columns
+router.put(
+  "/:taskId/move",
+  protect,
+  taskValidators.move,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_UPDATE),
+  moveTask
+);
+
+// Set or change the recurrence of a task's series
+router.put(
+  "/:taskId/recurrence",
+  protect,
+  taskValidators.recurrence,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_UPDATE),
+  updateTaskRecurrence
+);
+
+// Stop a recurring series
+router.delete(
+  "/:taskId/recurrence",
+  protect,
+  taskValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_UPDATE),
+  stopTaskRecurrence
+);
+
+// Move a task to the trash
+router.delete(
+  "/:taskId",
+  protect,
+  taskValidators.remove,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_DELETE),
+  deleteTask
+);
+
+// Restore an archived task
+router.post(
+  "/:taskId/restore",
+  protect,
+  taskValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_DELETE, { archived: true }),
+  restoreTask
+);
+
+// Get the comments of a task, with their replies
+router.get(
+  "/:taskId/comments",
+  protect,
+  taskValidators.commentList,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getTaskComments
+);
+
+// Get a comment with its edit history
+router.get(
+  "/:taskId/comments/:commentId",
+  protect,
+  taskValidators.commentParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getTaskComment
+);
 
 // Add a comment to a task
 router.post(
   "/:taskId/comments",
   protect,
-  [check("text", "Comment text is required").not().isEmpty()],
+  taskValidators.comment,
   validateRequest,
+  requirePermission(PERMISSIONS.TASK_COMMENT),
   addTaskComment
 );
 
+// Edit a comment
+router.put(
+  "/:taskId/comments/:commentId",
+  protect,
+  taskValidators.commentUpdate,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_COMMENT),
+  updateTaskComment
+);
+
+// Delete a comment
+router.delete(
+  "/:taskId/comments/:commentId",
+  protect,
+  taskValidators.commentParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_COMMENT),
+  deleteTaskComment
+);
+
+// Get the dependencies of a task
+router.get(
+  "/:taskId/dependencies",
+  protect,
+  taskValidators.idParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_READ),
+  getTaskDependencies
+);
+
+// Add a dependency to a task
+router.post(
+  "/:taskId/dependencies",
+  protect,
+  taskValidators.dependency,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_UPDATE),
+  addTaskDependency
+);
+
+// Remove a dependency from a task
+router.delete(
+  "/:taskId/dependencies/:dependencyId",
+  protect,
+  taskValidators.dependencyParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_UPDATE),
+  removeTaskDependency
+);
+
+// Add a checklist item to a task
+router.post(
+  "/:taskId/checklist",
+  protect,
+  taskValidators.checklistItem,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_UPDATE),
+  addChecklistItem
+);
+
+// Update a checklist item
+router.put(
+  "/:taskId/checklist/:itemId",
+  protect,
+  taskValidators.checklistUpdate,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_UPDATE),
+  updateChecklistItem
+);
+
+// Delete a checklist item
+router.delete(
+  "/:taskId/checklist/:itemId",
+  protect,
+  taskValidators.checklistParam,
+  validateRequest,
+  requirePermission(PERMISSIONS.TASK_UPDATE),
+  deleteChecklistItem
+);
+
 module.exports = router;
@@ -0,0 +1,54 @@
+// routes/templateRoutes.js
+const express = require("express");
+const router = express.Router();
+const { validateRequest } = require("../middleware/validator");
+const { protect } = require("../middleware/auth");
+const {
+  createProjectTemplate,
+  getProjectTemplates,
+  getProjectTemplateById,
+  updateProjectTemplate,
+  deleteProjectTemplate,
+} = require("../controllers/templateController");
+const { templateValidators } = require("../utils/validators");
+
+// Create a project template
+router.post(
+  "/",
+  protect,
+  templateValidators.create,
+  validateRequest,
+  createProjectTemplate
+);
+
+// Get the user's own and shared project templates
+router.get("/", protect, getProjectTemplates);
+
+// Get a single project template
+router.get(
+  "/:templateId",
+  protect,
+  templateValidators.idParam,
+  validateRequest,
+  getProjectTemplateById
+);
+
+// Update a project template
+router.put(
+  "/:templateId",
+  protect,
+  templateValidators.update,
+  validateRequest,
+  updateProjectTemplate
+);
+
+// Delete a project template
+router.delete(
+  "/:templateId",
+  protect,
+  templateValidators.idParam,
+  validateRequest,
+  deleteProjectTemplate
+);
+
+module.exports = router;
@@ -0,0 +1,463 @@
+// seeder.js
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("./models/User");
+const Project = require("./models/Project");
+const Task = require("./models/Task");
+const Comment = require("./models/Comment");
+const Mention = require("./models/Mention");
+const Automation = require("./models/Automation");
+const Notification = require("./models/Notification");
+const SavedView = require("./models/SavedView");
+const TaskTemplate = require("./models/TaskTemplate");
+const ProjectTemplate = require("./models/ProjectTemplate");
+const AuditLog = require("./models/AuditLog");
+
+/**
+ * Database seeder
+ * Fills MongoDB with demo users, projects, tasks, automations and notifications
+ *
+ * Usage:
+ *   node seeder.js              Import demo data (clears existing data first)
+ *   node seeder.js -d           Destroy all data
+ *   node seeder.js --seed=42    Import with a specific random seed
+ *   node seeder.js --now=2024-06-01T09:00:00Z
+ *                               Date the demo data is built around
+ *
+ * The random seed can also be set with SEED_RANDOM and the reference date
+ * with SEED_NOW. Ids come from the seeded generator and dates from the
+ * reference date, so the same seed and date always produce the same data
+ * and it can back fixture-driven integration tests.
+ */
+
+dotenv.config();
+
+const DEFAULT_SEED = 1337;
+const DEFAULT_NOW = "2024-01-15T09:00:00.000Z";
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {Number} seed - Integer seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Demo data definitions
+const USERS = [
+  { name: "Alice Johnson", email: "alice@example.com" },
+  { name: "Bob Smith", email: "bob@example.com" },
+  { name: "Carol Davis", email: "carol@example.com" },
+  { name: "Dan Wilson", email: "dan@example.com" },
+  { name: "Eve Martinez", email: "eve@example.com" },
+];
+
+const PROJECTS = [
+  {
+    title: "Website Redesign",
+    description: "Refresh the marketing site with the new brand guidelines",
+    statuses: [
+      { name: "Backlog", order: 1 },
+      { name: "To Do", order: 2 },
+      { name: "In Progress", order: 3 },
+      { name: "Review", order: 4 },
+      { name: "Done", order: 5, isFinal: true },
+    ],
+  },
+  {
+    title: "Mobile App Launch",
+    description: "Ship version 1.0 of the mobile app to both stores",
+    statuses: [
+      { name: "To Do", order: 1 },
+      { name: "In Progress", order: 2 },
+      { name: "QA", order: 3 },
+      { name: "Released", order: 4, isFinal: true },
+    ],
+  },
+  {
+    title: "Internal Tooling",
+    description: "Small improvements to our internal dashboards",
+    // Uses the schema's default statuses
+  },
+];
+
+const TASK_TITLES = [
+  "Write project brief",
+  "Collect stakeholder feedback",
+  "Design landing page mockups",
+  "Set up CI pipeline",
+  "Implement authentication flow",
+  "Create onboarding emails",
+  "Audit accessibility issues",
+  "Optimize image assets",
+  "Draft release notes",
+  "Configure error monitoring",
+  "Update API documentation",
+  "Plan user interviews",
+  "Fix navigation bugs",
+  "Prepare demo environment",
+  "Review analytics events",
+];
+
+const COMMENTS = [
+  "I'll take a look at this today.",
+  "Can we clarify the acceptance criteria?",
+  "Blocked on the design review, will follow up.",
+  "Pushed a first draft, feedback welcome.",
+  "Looks good to me!",
+  "Moved this up since the deadline is close.",
+];
+
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Import demo data
+ * @param {Object} options
+ * @param {Number} options.seed - Random seed for reproducible data
+ * @param {Date} options.now - Reference date for due dates and timestamps
+ * @returns {Promise<Object>} The created documents
+ */
+const importData = async ({
+  seed = DEFAULT_SEED,
+  now = new Date(DEFAULT_NOW),
+} = {}) => {
+  const random = createRandom(seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const between = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+  // Ids get their own generator so they do not shift the data drawn above
+  const randomId = createRandom(seed ^ 0x5eed);
+  const nextId = () =>
+    new mongoose.Types.ObjectId(
+      [0, 1, 2]
+        .map(() =>
+          Math.floor(randomId() * 0x100000000)
+            .toString(16)
+            .padStart(8, "0")
+        )
+        .join("")
+    );
+
+  // Save with the reference date instead of the clock
+  const saveAt = (doc, date = now) => {
+    doc.set({ createdAt: date, updatedAt: date });
+    return doc.save({ timestamps: false });
+  };
+
+  await destroyData();
+
+  // Users
+  const users = [];
+  for (const [index, user] of USERS.entries()) {
+    users.push(
+      await saveAt(
+        new User({
+          _id: nextId(),
+          ...user,
+          firebaseUid: `seed-user-${index + 1}`,
+          avatarUrl: `https://i.pravatar.cc/150?u=${user.email}`,
+        })
+      )
+    );
+  }
+
+  // Projects, each owned by a different user with the others as members
+  const projects = [];
+  for (const [index, definition] of PROJECTS.entries()) {
+    const owner = users[index % users.length];
+    const others = users.filter((user) => user !== owner);
+
+    const project = new Project({
+      _id: nextId(),
+      title: definition.title,
+      description: definition.description,
+      owner: owner._id,
+      statuses: definition.statuses,
+      members: [
+        { user: owner._id, role: "owner" },
+        ...others.slice(0, 3).map((user, i) => ({
+          user: user._id,
+          role: i === 2 ? "viewer" : "editor",
+        })),
+      ],
+    });
+
+    // Default statuses and members get their ids and dates here too
+    for (const status of project.statuses) status._id = nextId();
+    for (const member of project.members) {
+      member._id = nextId();
+      member.addedAt = now;
+    }
+
+    projects.push(await saveAt(project));
+  }
+
+  // Tasks with comments and history
+  const tasks = [];
+  const comments = [];
+  for (const project of projects) {
+    const memberIds = project.members.map((member) => member.user);
+    const statusNames = [...project.statuses]
+      .sort((a, b) => a.order - b.order)
+      .map((s) => s.name);
+
+    const taskCount = between(5, 8);
+    for (let i = 0; i < taskCount; i++) {
+      const creator = pick(memberIds);
+      const assignee = random() < 0.8 ? pick(memberIds) : null;
+      const status = pick(statusNames);
+      const dueDate =
+        random() < 0.75
+          ? new Date(now.getTime() + between(-7, 21) * DAY_MS)
+          : undefined;
+
+      const task = new Task({
+        _id: nextId(),
+        title: pick(TASK_TITLES),
+        description: `Demo task ${i + 1} for "${project.title}"`,
+        project: project._id,
+        status,
+        assignee,
+        dueDate,
+        priority: pick(PRIORITIES),
+        creator,
+      });
+
+      // Comments from project members
+      const commentCount = between(0, 3);
+      for (let c = 0; c < commentCount; c++) {
+        const author = pick(memberIds);
+        const createdAt = new Date(now.getTime() - between(1, 72) * HOUR_MS);
+
+        comments.push({
+          _id: nextId(),
+          task: task._id,
+          project: project._id,
+          user: author,
+          text: pick(COMMENTS),
+          createdAt,
+        });
+        task.history.push({
+          _id: nextId(),
+          user: author,
+          action: "commented",
+          timestamp: createdAt,
+        });
+      }
+
+      // Status history when the task has moved beyond the first column
+      const statusIndex = statusNames.indexOf(status);
+      if (statusIndex > 0) {
+        task.history.push({
+          _id: nextId(),
+          user: assignee || creator,
+          action: "status_changed",
+          field: "status",
+          oldValue: statusNames[statusIndex - 1],
+          newValue: status,
+          timestamp: new Date(now.getTime() - between(1, 48) * HOUR_MS),
+        });
+      }
+
+      if (assignee) {
+        task.history.push({
+          _id: nextId(),
+          user: creator,
+          action: "assigned",
+          field: "assignee",
+          oldValue: null,
+          newValue: assignee,
+          timestamp: new Date(now.getTime() - between(49, 96) * HOUR_MS),
+        });
+      }
+
+      // Supplying the "created" entry keeps the save hook off the clock
+      task.history.unshift({
+        _id: nextId(),
+        user: creator,
+        action: "created",
+        newValue: task.title,
+        timestamp: now,
+      });
+
+      tasks.push(await saveAt(task));
+    }
+  }
+
+  await Comment.insertMany(comments);
+
+  // Automations
+  const automations = [];
+  for (const project of projects) {
+    const statusNames = project.statuses.map((s) => s.name);
+    const finalStatus = project.getFinalStatuses()[0];
+    const editor = project.members.find((m) => m.role === "editor");
+    const creator = project.owner;
+
+    automations.push(
+      await saveAt(
+        new Automation({
+          _id: nextId(),
+          project: project._id,
+          name: `Badge for finishing work in ${project.title}`,
+          trigger: {
+            type: "task_status_changed",
+            condition: {
+              field: "status",
+              operator: "equals",
+              value: finalStatus,
+            },
+          },
+          action: {
+            type: "assign_badge",
+            params: { badgeName: "Finisher", description: "Completed a task" },
+          },
+          creator,
+        })
+      ),
+      await saveAt(
+        new Automation({
+          _id: nextId(),
+          project: project._id,
+          name: "Start work when assigned",
+          trigger: {
+            type: "task_assigned",
+            condition: { field: "assignee", value: editor.user.toString() },
+          },
+          action: {
+            type: "change_status",
+            params: {
+              status: statusNames[Math.min(1, statusNames.length - 1)],
+            },
+          },
+          creator,
+        })
+      ),
+      await saveAt(
+        new Automation({
+          _id: nextId(),
+          project: project._id,
+          name: "Escalate overdue tasks",
+          trigger: { type: "task_due_date_passed" },
+          action: {
+            type: "send_notification",
+            params: { message: "A task in your project is overdue" },
+          },
+          creator,
+          active: random() < 0.5,
+        })
+      )
+    );
+  }
+
+  // Notifications (insertMany skips the live socket push)
+  const notifications = await Notification.insertMany(
+    tasks
+      .filter((task) => task.assignee)
+      .map((task) => ({
+        _id: nextId(),
+        recipient: task.assignee,
+        type: "task_assignment",
+        message: `You've been assigned to the task "${task.title}"`,
+        relatedProject: task.project,
+        relatedTask: task._id,
+        read: random() < 0.4,
+        createdAt: new Date(now.getTime() - between(1, 96) * HOUR_MS),
+      }))
+  );
+
+  return { users, projects, tasks, comments, automations, notifications };
+};
+
+/**
+ * Destroy all data in the seeded collections
+ */
+const destroyData = async () => {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("Refusing to modify the database in production");
+  }
+
+  await Promise.all([
+    Notification.deleteMany({}),
+    Automation.deleteMany({}),
+    SavedView.deleteMany({}),
+    TaskTemplate.deleteMany({}),
+    ProjectTemplate.deleteMany({}),
+    Comment.deleteMany({}),
+    Mention.deleteMany({}),
+    Task.deleteMany({}),
+    Project.deleteMany({}),
+    User.deleteMany({}),
+    // The model rejects deletes to keep the log append-only in the app, so
+    // the seeder clears it through the driver
+    AuditLog.collection.deleteMany({}),
+  ]);
+};
+
+// Read --seed=<n> from the command line or SEED_RANDOM from the environment
+const parseSeed = (args) => {
+  const arg = args.find((a) => a.startsWith("--seed="));
+  const value = arg ? arg.split("=")[1] : process.env.SEED_RANDOM;
+  const seed = parseInt(value, 10);
+  return Number.isNaN(seed) ? DEFAULT_SEED : seed;
+};
+
+// Read --now=<date> from the command line or SEED_NOW from the environment
+const parseNow = (args) => {
+  const arg = args.find((a) => a.startsWith("--now="));
+  const value = arg ? arg.split("=")[1] : process.env.SEED_NOW;
+  const now = new Date(value || DEFAULT_NOW);
+  return Number.isNaN(now.getTime()) ? new Date(DEFAULT_NOW) : now;
+};
+
+// Run from the command line
+const run = async () => {
+  const args = process.argv.slice(2);
+  const destroy = args.includes("-d") || args.includes("--destroy");
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    if (destroy) {
+      await destroyData();
+      console.log("Data destroyed");
+    } else {
+      const seed = parseSeed(args);
+      const now = parseNow(args);
+      const data = await importData({ seed, now });
+      console.log(
+        `Data imported (seed ${seed}, ${now.toISOString()}): ${
+          data.users.length
+        } users, ${data.projects.length} projects, ${
+          data.tasks.length
+        } tasks, ${data.comments.length} comments, ${
+          data.automations.length
+        } automations, ${data.notifications.length} notifications`
+      );
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error(`Seeder error: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { importData, destroyData, createRandom };
@@ -8,6 +8,9 @@ const connectDB = require("./config/db");
 const { initializeFirebase } = require("./config/firebase");
 const { notFound, errorHandler } = require("./middleware/error");
 const socketServer = require("./websocket/socket");
+const dueDateScheduler = require("./utils/dueDateScheduler");
+const trashRetention = require("./utils/trashRetention");
+const commentMigration = require("./utils/commentMigration");
 
 // Load environment variables
 dotenv.config();
@@ -15,6 +18,9 @@ dotenv.config();
 // Connect to database
 connectDB();
 
+// Move comments still embedded in tasks to their own collection
+commentMigration.run();
+
 // Initialize Firebase Admin SDK
 initializeFirebase();
 
@@ -37,7 +43,10 @@ app.use("/api/auth", require("./routes/authRoutes"));
 app.use("/api/projects", require("./routes/projectRoutes"));
 app.use("/api/tasks", require("./routes/taskRoutes"));
 app.use("/api/notifications", require("./routes/notificationRoutes"));
+app.use("/api/mentions", require("./routes/mentionRoutes"));
 app.use("/api/automations", require("./routes/automationRoutes"));
+app.use("/api/templates", require("./routes/templateRoutes"));
+app.use("/api/search", require("./routes/searchRoutes"));
 
 // Base route for API health check
 app.get("/api", (req, res) => {
@@ -61,6 +70,12 @@ const server = app.listen(PORT, () => {
 // Initialize WebSocket server
 socketServer.init(server);
 
+// Start scanning for overdue tasks (task_due_date_passed automations)
+dueDateScheduler.start();
+
+// Purge archived projects and tasks after the retention period
+trashRetention.start();
+
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err) => {
   console.error(`Error: ${err.message}`);
@@ -0,0 +1,98 @@
+// tests/taskRecurrence.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const { validateRequest } = require("../middleware/validator");
+const { taskValidators } = require("../utils/validators");
+
+/**
+ * Recurrence validation on the task routes
+ * Mounts the validation chains of POST /api/tasks and
+ * PUT /api/tasks/:taskId/recurrence as the task router does, ending in a
+ * handler that echoes the body, so no database or auth is needed.
+ */
+
+const TASK_ID = "64b7f0c2a1b2c3d4e5f60718";
+const PROJECT_ID = "64b7f0c2a1b2c3d4e5f60719";
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+
+  const passed = (req, res) => res.json({ success: true, body: req.body });
+
+  app.post("/api/tasks", taskValidators.create, validateRequest, passed);
+  app.put(
+    "/api/tasks/:taskId/recurrence",
+    taskValidators.recurrence,
+    validateRequest,
+    passed
+  );
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const send = async (method, path, body) => {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test("creates a task with a recurrence rule object", async () => {
+  const res = await send("POST", "/api/tasks", {
+    title: "Weekly sync",
+    project: PROJECT_ID,
+    dueDate: "2024-01-15T09:00:00.000Z",
+    recurrence: { frequency: "weekly", byWeekday: [1, 4] },
+  });
+
+  assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+});
+
+test("creates a task with an RRULE string", async () => {
+  const res = await send("POST", "/api/tasks", {
+    title: "Monthly report",
+    project: PROJECT_ID,
+    recurrence: "FREQ=MONTHLY;BYMONTHDAY=1;COUNT=6",
+  });
+
+  assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+});
+
+test("rejects a task with an invalid recurrence rule", async () => {
+  const res = await send("POST", "/api/tasks", {
+    title: "Broken rule",
+    project: PROJECT_ID,
+    recurrence: { frequency: "hourly" },
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.errors[0].field, "recurrence");
+  assert.match(res.body.errors[0].message, /frequency/);
+});
+
+test("updates the recurrence rule of a task", async () => {
+  const res = await send("PUT", `/api/tasks/${TASK_ID}/recurrence`, {
+    recurrence: { frequency: "daily", interval: 2 },
+  });
+
+  assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+});
+
+test("requires a recurrence rule to update it", async () => {
+  const res = await send("PUT", `/api/tasks/${TASK_ID}/recurrence`, {});
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.errors[0].field, "recurrence");
+});
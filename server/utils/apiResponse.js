@@ -0,0 +1,229 @@
+// utils/apiResponse.js
+/**
+ * API response helpers
+ * Shared success/pagination envelopes and typed errors with stable,
+ * machine-readable error codes so clients never need to match messages
+ */
+
+// Error codes returned in the `code` field of error responses
+const ERROR_CODES = {
+  // Generic
+  BAD_REQUEST: "BAD_REQUEST",
+  VALIDATION_ERROR: "VALIDATION_ERROR",
+  INVALID_ID: "INVALID_ID",
+  NOT_AUTHENTICATED: "NOT_AUTHENTICATED",
+  INVALID_TOKEN: "INVALID_TOKEN",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_FOUND: "NOT_FOUND",
+  ROUTE_NOT_FOUND: "ROUTE_NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  DUPLICATE_KEY: "DUPLICATE_KEY",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+  INVALID_CURSOR: "INVALID_CURSOR",
+
+  // Users
+  USER_NOT_FOUND: "USER_NOT_FOUND",
+
+  // Projects and membership
+  PROJECT_ID_REQUIRED: "PROJECT_ID_REQUIRED",
+  PROJECT_NOT_FOUND: "PROJECT_NOT_FOUND",
+  NOT_PROJECT_MEMBER: "NOT_PROJECT_MEMBER",
+  NOT_PROJECT_OWNER: "NOT_PROJECT_OWNER",
+  INSUFFICIENT_ROLE: "INSUFFICIENT_ROLE",
+  ALREADY_MEMBER: "ALREADY_MEMBER",
+  MEMBER_NOT_FOUND: "MEMBER_NOT_FOUND",
+  CANNOT_MODIFY_OWNER: "CANNOT_MODIFY_OWNER",
+  INVALID_ROLE: "INVALID_ROLE",
+  STATUS_IN_USE: "STATUS_IN_USE",
+  STATUS_EXISTS: "STATUS_EXISTS",
+  INVALID_WORKFLOW: "INVALID_WORKFLOW",
+
+  // Tasks
+  TASK_NOT_FOUND: "TASK_NOT_FOUND",
+  INVALID_STATUS: "INVALID_STATUS",
+  INVALID_TRANSITION: "INVALID_TRANSITION",
+  TRANSITION_NOT_ALLOWED: "TRANSITION_NOT_ALLOWED",
+  INVALID_ASSIGNEE: "INVALID_ASSIGNEE",
+  COMMENT_REQUIRED: "COMMENT_REQUIRED",
+  COMMENT_NOT_FOUND: "COMMENT_NOT_FOUND",
+  NOT_COMMENT_AUTHOR: "NOT_COMMENT_AUTHOR",
+  TASK_BLOCKED: "TASK_BLOCKED",
+  WIP_LIMIT_EXCEEDED: "WIP_LIMIT_EXCEEDED",
+  NOT_RECURRING: "NOT_RECURRING",
+  SERIES_ENDED: "SERIES_ENDED",
+  INVALID_PARENT: "INVALID_PARENT",
+  CHECKLIST_ITEM_NOT_FOUND: "CHECKLIST_ITEM_NOT_FOUND",
+  INVALID_DEPENDENCY: "INVALID_DEPENDENCY",
+  DEPENDENCY_CYCLE: "DEPENDENCY_CYCLE",
+
+  // Trash
+  NOT_ARCHIVED: "NOT_ARCHIVED",
+  PARENT_ARCHIVED: "PARENT_ARCHIVED",
+
+  // Automations
+  AUTOMATION_NOT_FOUND: "AUTOMATION_NOT_FOUND",
+  INVALID_AUTOMATION: "INVALID_AUTOMATION",
+
+  // Saved views
+  VIEW_NOT_FOUND: "VIEW_NOT_FOUND",
+
+  // Templates
+  TEMPLATE_NOT_FOUND: "TEMPLATE_NOT_FOUND",
+
+  // Notifications
+  NOTIFICATION_NOT_FOUND: "NOTIFICATION_NOT_FOUND",
+};
+
+/**
+ * Base API error
+ * Carries the HTTP status code and a stable error code for the error handler
+ */
+class ApiError extends Error {
+  /**
+   * @param {Number} statusCode - HTTP status code
+   * @param {String} message - Human readable message
+   * @param {String} code - One of ERROR_CODES
+   * @param {*} details - Optional extra data (e.g. field errors)
+   */
+  constructor(statusCode, message, code = ERROR_CODES.INTERNAL_ERROR, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// 400 - The request is malformed or fails a business rule
+class BadRequestError extends ApiError {
+  constructor(message, code = ERROR_CODES.BAD_REQUEST, details) {
+    super(400, message, code, details);
+  }
+}
+
+// 401 - Missing or invalid authentication
+class UnauthorizedError extends ApiError {
+  constructor(message, code = ERROR_CODES.NOT_AUTHENTICATED, details) {
+    super(401, message, code, details);
+  }
+}
+
+// 403 - Authenticated but not allowed
+class ForbiddenError extends ApiError {
+  constructor(message, code = ERROR_CODES.FORBIDDEN, details) {
+    super(403, message, code, details);
+  }
+}
+
+// 404 - Resource does not exist
+class NotFoundError extends ApiError {
+  constructor(message, code = ERROR_CODES.NOT_FOUND, details) {
+    super(404, message, code, details);
+  }
+}
+
+// 409 - Request conflicts with the current state
+class ConflictError extends ApiError {
+  constructor(message, code = ERROR_CODES.CONFLICT, details) {
+    super(409, message, code, details);
+  }
+}
+
+// Default error code for errors thrown without one
+const codeForStatus = (statusCode) => {
+  switch (statusCode) {
+    case 400:
+      return ERROR_CODES.BAD_REQUEST;
+    case 401:
+      return ERROR_CODES.NOT_AUTHENTICATED;
+    case 403:
+      return ERROR_CODES.FORBIDDEN;
+    case 404:
+      return ERROR_CODES.NOT_FOUND;
+    case 409:
+      return ERROR_CODES.CONFLICT;
+    default:
+      return ERROR_CODES.INTERNAL_ERROR;
+  }
+};
+
+/**
+ * Build the pagination envelope for page-number pagination
+ * @param {Object} options
+ * @param {Number} options.page - Current page (1-based)
+ * @param {Number} options.limit - Page size
+ * @param {Number} options.totalItems - Total number of matching items
+ */
+const buildPagination = ({ page, limit, totalItems }) => {
+  const totalPages = Math.ceil(totalItems / limit);
+
+  return {
+    page,
+    limit,
+    totalPages,
+    totalItems,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  };
+};
+
+/**
+ * Read page/limit query params with sane bounds
+ * @param {Object} query - req.query
+ * @param {Object} options - Default and maximum page size
+ */
+const parsePagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    maxLimit
+  );
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Send a success response
+ * @param {Object} res - Express response
+ * @param {Object|null} data - Response payload
+ * @param {Object} options
+ * @param {Number} options.statusCode - HTTP status code (default 200)
+ * @param {String} options.message - Optional message
+ * @param {Object} options.meta - Extra top-level fields (count, pagination, ...)
+ */
+const sendSuccess = (res, data, { statusCode = 200, message, meta } = {}) => {
+  const body = { success: true };
+
+  if (message) body.message = message;
+  if (meta) Object.assign(body, meta);
+  body.data = data === undefined ? null : data;
+
+  return res.status(statusCode).json(body);
+};
+
+/**
+ * Send a paginated list response
+ * @param {Object} res - Express response
+ * @param {Object} data - Response payload (e.g. { tasks })
+ * @param {Object} options
+ * @param {Number} options.count - Number of items on this page
+ * @param {Object} options.pagination - Envelope from buildPagination
+ * @param {Object} options.meta - Extra top-level fields
+ */
+const sendPaginated = (res, data, { count, pagination, meta } = {}) =>
+  sendSuccess(res, data, { meta: { count, ...meta, pagination } });
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  codeForStatus,
+  buildPagination,
+  parsePagination,
+  sendSuccess,
+  sendPaginated,
+};
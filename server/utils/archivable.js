@@ -0,0 +1,58 @@
+// utils/archivable.js
+const mongoose = require("mongoose");
+
+/**
+ * Archive (soft delete) schema plugin
+ * Adds archivedAt/archivedBy and hides archived documents from reads, so
+ * every existing query keeps returning live data only. Archived documents
+ * are reached by mentioning archivedAt in the filter (the trash listings do)
+ * or with the withArchived() query helper (restore).
+ *
+ * Writes (updateMany, deleteMany, ...) are not filtered so migrations and
+ * purges still reach archived documents.
+ */
+
+const READ_QUERIES = ["find", "findOne", "countDocuments", "distinct"];
+
+const archivable = (schema) => {
+  schema.add({
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  });
+
+  // Include archived documents in this query
+  schema.query.withArchived = function () {
+    this._withArchived = true;
+    return this;
+  };
+
+  // Hide archived documents unless the query asks for them
+  schema.pre(READ_QUERIES, function (next) {
+    if (!this._withArchived && this.getFilter().archivedAt === undefined) {
+      this.where({ archivedAt: null });
+    }
+    next();
+  });
+
+  schema.pre("aggregate", function (next) {
+    const [first] = this.pipeline();
+    const filtersArchive =
+      first && first.$match && first.$match.archivedAt !== undefined;
+
+    if (!filtersArchive) {
+      this.pipeline().unshift({ $match: { archivedAt: null } });
+    }
+    next();
+  });
+
+  schema.index({ archivedAt: 1 });
+};
+
+module.exports = archivable;
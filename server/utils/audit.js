@@ -0,0 +1,212 @@
+// utils/audit.js
+const AuditLog = require("../models/AuditLog");
+const { toList } = require("./taskQuery");
+
+/**
+ * Project audit log
+ * Controllers call recordAudit after a change has been saved. Snapshots
+ * taken before and after the change are compared field by field, so only
+ * the fields that actually changed end up in the entry.
+ */
+
+// Fields compared for each kind of audit target
+const AUDITED_FIELDS = {
+  project: ["title", "description", "statuses", "transitions", "archivedAt"],
+  member: ["user", "role"],
+  task: [
+    "title",
+    "description",
+    "status",
+    "assignee",
+    "dueDate",
+    "priority",
+    "parent",
+    "rank",
+    "recurrence",
+    "archivedAt",
+  ],
+  automation: ["name", "trigger", "action", "active"],
+  view: ["name", "filters", "sortBy", "sortOrder", "groupBy", "shared"],
+  task_template: [
+    "name",
+    "titlePattern",
+    "description",
+    "priority",
+    "checklist",
+    "dueInDays",
+  ],
+};
+
+/**
+ * Plain, JSON-safe copy of the given fields of a document
+ * @param {Object} doc - Mongoose document or plain object
+ * @param {Array<String>} fields - Field names to copy
+ * @returns {Object}
+ */
+const snapshot = (doc, fields) => {
+  if (!doc) return null;
+
+  const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const copy = {};
+
+  for (const field of fields) {
+    if (source[field] !== undefined) copy[field] = source[field];
+  }
+
+  // ObjectIds and dates become strings, subdocuments plain objects
+  return JSON.parse(JSON.stringify(copy));
+};
+
+/**
+ * Fields that differ between two snapshots
+ * @param {Object|null} before - Snapshot before the change (null on create)
+ * @param {Object|null} after - Snapshot after the change (null on delete)
+ * @returns {Array} [{ field, before, after }]
+ */
+const diffSnapshots = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = [];
+
+  for (const field of fields) {
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Target of an audit entry; the label defaults to the title or name
+ * @param {String} type - One of the AuditLog target types
+ * @param {Object} doc - Changed document
+ */
+const auditTarget = (type, doc, label = doc.title || doc.name) => ({
+  type,
+  id: doc._id,
+  label,
+});
+
+// Who made the request and how
+const requestMetadata = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+  method: req.method,
+  path: req.originalUrl,
+});
+
+/**
+ * Append an entry to the audit log
+ * A failure to write the log is reported but never undoes the change
+ * @param {Object} req - Express request (actor, project and metadata)
+ * @param {Object} entry - { action, target: { type, id, label }, before,
+ *                         after, project } where project defaults to
+ *                         req.project
+ */
+const recordAudit = async (req, { action, target, before, after, project }) => {
+  try {
+    await AuditLog.create({
+      project: project || req.project._id,
+      actor: req.user.id,
+      action,
+      target,
+      changes: diffSnapshots(before, after),
+      metadata: requestMetadata(req),
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry ${action}:`, error.message);
+  }
+};
+
+/**
+ * Filter for audit queries
+ * @param {Object} query - { action, actor, targetType, targetId, from, to }
+ */
+const buildAuditFilter = (projectId, query) => {
+  const filter = { project: projectId };
+
+  if (query.action) filter.action = { $in: toList(query.action) };
+  if (query.actor) filter.actor = query.actor;
+  if (query.targetType) filter["target.type"] = query.targetType;
+  if (query.targetId) filter["target.id"] = query.targetId;
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  return filter;
+};
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "actorName",
+  "actorEmail",
+  "action",
+  "targetType",
+  "targetId",
+  "targetLabel",
+  "changes",
+  "ip",
+  "userAgent",
+  "method",
+  "path",
+];
+
+// Quote a CSV cell when it contains a separator, quote or line break;
+// cells that spreadsheets would read as formulas are prefixed with '
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = typeof value === "string" ? value : JSON.stringify(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Audit entries as CSV, one row per entry
+ * @param {Array} entries - Entries with actor populated
+ */
+const auditToCsv = (entries) => {
+  const rows = entries.map((entry) => {
+    const actor = entry.actor || {};
+    const metadata = entry.metadata || {};
+
+    return [
+      entry.createdAt.toISOString(),
+      actor.name,
+      actor.email,
+      entry.action,
+      entry.target.type,
+      entry.target.id.toString(),
+      entry.target.label,
+      entry.changes.length > 0 ? entry.changes : "",
+      metadata.ip,
+      metadata.userAgent,
+      metadata.method,
+      metadata.path,
+    ]
+      .map(csvCell)
+      .join(",");
+  });
+
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n");
+};
+
+module.exports = {
+  AUDITED_FIELDS,
+  snapshot,
+  diffSnapshots,
+  auditTarget,
+  recordAudit,
+  buildAuditFilter,
+  auditToCsv,
+};
@@ -0,0 +1,286 @@
+// utils/automationEngine.js
+const mongoose = require("mongoose");
+const Automation = require("../models/Automation");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { emitToProject } = require("../websocket/socket");
+const {
+  assertValidStatus,
+  assertValidTransition,
+  assertProjectMember,
+} = require("./validators");
+const { assertNotBlocked } = require("./dependencies");
+const { assertWipLimit } = require("./wipLimits");
+const { spawnIfCompleted } = require("./recurrence");
+
+/**
+ * Automation engine
+ * Evaluates the active automation rules of a task's project for a trigger
+ * and executes the configured actions
+ */
+
+// Field each trigger type compares against when a rule omits condition.field
+const DEFAULT_CONDITION_FIELDS = {
+  task_status_changed: "status",
+  task_assigned: "assignee",
+};
+
+// Normalize a value (populated document, ObjectId, date or primitive) for comparison
+const normalizeValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value === "object" && value._id) return value._id.toString();
+  return value;
+};
+
+// Resolve a (possibly dotted) field path on the task
+const getFieldValue = (task, field) =>
+  field
+    .split(".")
+    .reduce(
+      (current, key) => (current == null ? undefined : current[key]),
+      task
+    );
+
+/**
+ * Check whether the rule's trigger condition matches the task
+ * Rules without a condition value always match
+ */
+const matchesCondition = (automation, task, context) => {
+  const condition = automation.trigger.condition || {};
+
+  if (condition.value === undefined || condition.value === null) {
+    return true;
+  }
+
+  const field =
+    condition.field || DEFAULT_CONDITION_FIELDS[automation.trigger.type];
+
+  if (!field) {
+    return true;
+  }
+
+  // Allow comparing against the previous value (e.g. "oldStatus")
+  const rawActual =
+    field in context ? context[field] : getFieldValue(task, field);
+  const actual = normalizeValue(rawActual);
+  const expected = Array.isArray(condition.value)
+    ? condition.value.map(normalizeValue)
+    : normalizeValue(condition.value);
+
+  switch (condition.operator || "equals") {
+    case "equals":
+      return actual === expected;
+    case "not_equals":
+      return actual !== expected;
+    case "in":
+      return Array.isArray(expected) && expected.includes(actual);
+    case "not_in":
+      return Array.isArray(expected) && !expected.includes(actual);
+    case "contains":
+      return (
+        typeof actual === "string" &&
+        actual.toLowerCase().includes(String(expected).toLowerCase())
+      );
+    case "greater_than":
+      return actual !== null && actual > expected;
+    case "less_than":
+      return actual !== null && actual < expected;
+    case "exists":
+      return expected ? actual !== null : actual === null;
+    default:
+      console.warn(
+        `Unknown automation operator "${condition.operator}" in automation ${automation._id}`
+      );
+      return false;
+  }
+};
+
+// Pick the user an action should target: explicit param, assignee, then creator
+const resolveTargetUser = (params, task) =>
+  normalizeValue(params.userId) ||
+  normalizeValue(task.assignee) ||
+  normalizeValue(task.creator);
+
+/**
+ * Action handlers keyed by the action types in the Automation model
+ * Each handler returns true when it changed something
+ */
+const actionHandlers = {
+  assign_badge: async (automation, task) => {
+    const { badgeName, description } = automation.action.params;
+    const userId = resolveTargetUser({}, task);
+
+    if (!userId) return false;
+
+    // Only award each badge once per user
+    const result = await User.updateOne(
+      { _id: userId, "badges.name": { $ne: badgeName } },
+      {
+        $push: {
+          badges: {
+            name: badgeName,
+            description: description || `Awarded by "${automation.name}"`,
+            awardedAt: Date.now(),
+          },
+        },
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      await Notification.create({
+        recipient: userId,
+        type: "automation_triggered",
+        message: `You earned the "${badgeName}" badge on task "${task.title}"`,
+        relatedProject: automation.project,
+        relatedTask: task._id,
+      });
+    }
+
+    return result.modifiedCount > 0;
+  },
+
+  change_status: async (automation, task, project) => {
+    const { status } = automation.action.params;
+
+    assertValidStatus(project, status, "action params");
+
+    const taskDoc = await Task.findById(task._id);
+    if (!taskDoc || taskDoc.status === status) return false;
+
+    // Illegal, blocked or over-limit moves are skipped; the error is logged
+    // by runAutomations. Role limits do not apply to automations
+    assertValidTransition(project, taskDoc.status, status);
+    await assertNotBlocked(taskDoc, project, status);
+    await assertWipLimit(project, status, {
+      assignee: taskDoc.assignee,
+      excludeTaskId: taskDoc._id,
+    });
+
+    taskDoc.status = status;
+    await taskDoc.setActor(null, automation._id).save();
+
+    task.status = status;
+    emitToProject(taskDoc.project, "task:updated", { task: taskDoc });
+
+    // Completing a recurring task creates its next instance (without
+    // running automations for it, as actions do not cascade)
+    await spawnIfCompleted(taskDoc, project);
+    return true;
+  },
+
+  assign_user: async (automation, task, project) => {
+    const userId = normalizeValue(automation.action.params.userId);
+
+    assertProjectMember(project, userId);
+
+    const taskDoc = await Task.findById(task._id);
+    if (!taskDoc || normalizeValue(taskDoc.assignee) === userId) return false;
+
+    taskDoc.assignee = userId;
+    await taskDoc.setActor(null, automation._id).save();
+
+    task.assignee = taskDoc.assignee;
+    emitToProject(taskDoc.project, "task:updated", { task: taskDoc });
+
+    await Notification.create({
+      recipient: userId,
+      type: "task_assignment",
+      message: `You've been assigned to the task "${task.title}"`,
+      relatedProject: automation.project,
+      relatedTask: task._id,
+    });
+
+    return true;
+  },
+
+  send_notification: async (automation, task) => {
+    const { message } = automation.action.params;
+    const recipient = resolveTargetUser(automation.action.params, task);
+
+    if (!recipient) return false;
+
+    await Notification.create({
+      recipient,
+      type: "automation_triggered",
+      message,
+      relatedProject: automation.project,
+      relatedTask: task._id,
+    });
+
+    return true;
+  },
+};
+
+/**
+ * Run all active automations of the task's project for the given trigger
+ * Failures of individual rules are logged and never bubble up to the caller,
+ * so a broken rule cannot fail the request that triggered it.
+ * Actions performed here do not trigger further automations.
+ *
+ * @param {String} triggerType - One of the trigger types in the Automation model
+ * @param {Object} task - Task document (may be populated)
+ * @param {Object} context - Extra trigger data such as oldStatus or oldAssignee
+ * @returns {Promise<Array>} Ids of the automations that were executed
+ */
+const runAutomations = async (triggerType, task, context = {}) => {
+  const executed = [];
+
+  if (!task) return executed;
+
+  try {
+    const projectId = normalizeValue(task.project);
+
+    const automations = await Automation.find({
+      project: projectId,
+      "trigger.type": triggerType,
+      active: true,
+    }).sort({ createdAt: 1 });
+
+    if (automations.length === 0) return executed;
+
+    const project = await Project.findById(projectId);
+    if (!project) return executed;
+
+    for (const automation of automations) {
+      try {
+        if (!matchesCondition(automation, task, context)) continue;
+
+        const handler = actionHandlers[automation.action.type];
+        if (!handler) {
+          console.warn(
+            `Unknown automation action "${automation.action.type}" in automation ${automation._id}`
+          );
+          continue;
+        }
+
+        await handler(automation, task, project, context);
+
+        await Automation.updateOne(
+          { _id: automation._id },
+          { $inc: { executionCount: 1 }, $set: { lastExecuted: Date.now() } }
+        );
+
+        executed.push(automation._id);
+      } catch (error) {
+        console.error(
+          `Error executing automation ${automation._id} (${automation.name}):`,
+          error.message
+        );
+      }
+    }
+  } catch (error) {
+    console.error(`Error running "${triggerType}" automations:`, error.message);
+  }
+
+  return executed;
+};
+
+module.exports = {
+  DEFAULT_CONDITION_FIELDS,
+  runAutomations,
+  matchesCondition,
+};
@@ -0,0 +1,99 @@
+// utils/commentMigration.js
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+
+/**
+ * Comment migration
+ * Comments used to be embedded in the task document. This moves the ones
+ * left there into the Comment collection, keeping their ids, and rebuilds
+ * the task text index, which no longer covers comment text. Runs on every
+ * start; once everything is moved there is nothing left to do.
+ */
+
+const BATCH_SIZE = 200;
+
+/**
+ * Move embedded comments to the Comment collection
+ * @returns {Promise<Number>} Number of comments moved
+ */
+const migrateEmbeddedComments = async () => {
+  let moved = 0;
+
+  // The comments path is no longer in the Task schema, so the raw collection
+  // is used. Every migrated task loses the field, which ends the loop
+  for (;;) {
+    const tasks = await Task.collection
+      .find(
+        { comments: { $exists: true } },
+        { projection: { project: 1, comments: 1 } }
+      )
+      .limit(BATCH_SIZE)
+      .toArray();
+
+    if (tasks.length === 0) break;
+
+    for (const task of tasks) {
+      if (task.comments.length > 0) {
+        // Upserts keep a rerun after an interrupted migration harmless
+        await Comment.collection.bulkWrite(
+          task.comments.map((comment) => ({
+            updateOne: {
+              filter: { _id: comment._id },
+              update: {
+                $setOnInsert: {
+                  task: task._id,
+                  project: task.project,
+                  user: comment.user,
+                  text: comment.text,
+                  parent: null,
+                  edits: [],
+                  createdAt: comment.createdAt || new Date(),
+                },
+              },
+              upsert: true,
+            },
+          }))
+        );
+        moved += task.comments.length;
+      }
+
+      await Task.collection.updateOne(
+        { _id: task._id },
+        { $unset: { comments: "" } }
+      );
+    }
+  }
+
+  // The collection may not exist yet on a fresh database
+  const indexes = await Task.collection.indexes().catch(() => []);
+  const textIndex = indexes.find((index) => index.name === "TaskTextIndex");
+
+  if (textIndex && textIndex.weights && textIndex.weights["comments.text"]) {
+    await Task.collection.dropIndex("TaskTextIndex");
+    await Task.createIndexes();
+  }
+
+  return moved;
+};
+
+// Run the migration once the database is connected
+const run = async () => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await new Promise((resolve) => mongoose.connection.once("open", resolve));
+    }
+
+    const moved = await migrateEmbeddedComments();
+
+    if (moved > 0) {
+      console.log(
+        `Moved ${moved} embedded comment(s) to the comments collection`
+      );
+    }
+  } catch (error) {
+    console.error("Error migrating comments:", error.message);
+  }
+};
+
+module.exports = { run, migrateEmbeddedComments };
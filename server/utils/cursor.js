@@ -0,0 +1,148 @@
+// utils/cursor.js
+const mongoose = require("mongoose");
+const { ERROR_CODES, BadRequestError } = require("./apiResponse");
+
+/**
+ * Cursor pagination helpers
+ * A cursor is the sort field value and _id of the last item of a page,
+ * base64url encoded so clients treat it as opaque. Paging with
+ * ?after=<cursor> keeps pages stable while items are added or removed,
+ * unlike skip/limit.
+ *
+ * Sorts must be { <field>: order, _id: order }.
+ */
+
+const invalidCursor = () =>
+  new BadRequestError("Invalid pagination cursor", ERROR_CODES.INVALID_CURSOR);
+
+// The single non-_id field of a sort object
+const getSortField = (sort) =>
+  Object.keys(sort).find((field) => field !== "_id") || "_id";
+
+/**
+ * Encode the position of a document in a sorted list
+ * @param {Object} doc - Last document of the page
+ * @param {Object} sort - Sort used for the query
+ * @returns {String} Opaque cursor
+ */
+const encodeCursor = (doc, sort) => {
+  const field = getSortField(sort);
+  const value = field === "_id" ? null : doc[field];
+
+  const payload = {
+    f: field,
+    v: value === undefined ? null : value,
+    d: value instanceof Date,
+    id: doc._id.toString(),
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decode a cursor, checking it was made for the same sort field
+ * @returns {Object} { value, id }
+ */
+const decodeCursor = (cursor, sort) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (
+    !payload ||
+    payload.f !== getSortField(sort) ||
+    !mongoose.Types.ObjectId.isValid(payload.id)
+  ) {
+    throw invalidCursor();
+  }
+
+  return {
+    value: payload.d ? new Date(payload.v) : payload.v,
+    id: new mongoose.Types.ObjectId(payload.id),
+  };
+};
+
+/**
+ * Add the "comes after the cursor" condition to a filter
+ * Missing/null values sort first in MongoDB, so they are handled apart
+ * @param {Object} filter - Query filter
+ * @param {Object} sort - Sort used for the query
+ * @param {String} after - Cursor from the previous page
+ * @returns {Object} Filter limited to items after the cursor
+ */
+const applyCursor = (filter, sort, after) => {
+  const field = getSortField(sort);
+  const { value, id } = decodeCursor(after, sort);
+  const asc = sort[field] === 1;
+  const idAfter = { _id: asc ? { $gt: id } : { $lt: id } };
+
+  let condition;
+
+  if (field === "_id") {
+    condition = idAfter;
+  } else if (value === null) {
+    condition = asc
+      ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idAfter };
+  } else {
+    const beyond = { [field]: asc ? { $gt: value } : { $lt: value } };
+    condition = {
+      $or: [
+        beyond,
+        { [field]: value, ...idAfter },
+        // Descending lists end with the items that have no value
+        ...(asc ? [] : [{ [field]: null }]),
+      ],
+    };
+  }
+
+  return { $and: [filter, condition] };
+};
+
+/**
+ * Trim a page fetched with limit + 1 and describe the next one
+ * @param {Array} items - Query results (up to limit + 1 items)
+ * @param {Object} options
+ * @param {Number} options.limit - Page size
+ * @param {Object} options.sort - Sort used for the query
+ * @returns {Object} { items, pagination }
+ */
+const buildCursorPage = (items, { limit, sort }) => {
+  const hasNextPage = items.length > limit;
+  const page = hasNextPage ? items.slice(0, limit) : items;
+
+  return {
+    items: page,
+    pagination: {
+      limit,
+      hasNextPage,
+      nextCursor: hasNextPage
+        ? encodeCursor(page[page.length - 1], sort)
+        : null,
+    },
+  };
+};
+
+/**
+ * Add a nextCursor to a page-number pagination envelope so clients can
+ * switch to cursor mode after the first page
+ */
+const withNextCursor = (pagination, items, sort) => ({
+  ...pagination,
+  nextCursor:
+    pagination.hasNextPage && items.length
+      ? encodeCursor(items[items.length - 1], sort)
+      : null,
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+  buildCursorPage,
+  withNextCursor,
+};
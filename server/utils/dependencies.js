@@ -0,0 +1,163 @@
+// utils/dependencies.js
+const Task = require("../models/Task");
+const { ERROR_CODES, ConflictError } = require("./apiResponse");
+
+/**
+ * Task dependency helpers
+ * Graph utilities for blockedBy/blocks links within a project:
+ * cycle detection, critical path and the "blocked" check used before
+ * a task may move into a final status
+ */
+
+/**
+ * Build an adjacency map (task id -> ids of tasks it blocks)
+ * @param {Array} tasks - Tasks with _id and blocks
+ * @returns {Map<String, Array<String>>}
+ */
+const buildGraph = (tasks) => {
+  const graph = new Map();
+
+  for (const task of tasks) {
+    graph.set(
+      task._id.toString(),
+      (task.blocks || []).map((id) => id.toString())
+    );
+  }
+
+  return graph;
+};
+
+/**
+ * Check whether adding "blocker blocks blocked" would create a cycle,
+ * i.e. whether blocked already (transitively) blocks blocker
+ * @returns {Boolean}
+ */
+const createsCycle = (graph, blockerId, blockedId) => {
+  const target = blockerId.toString();
+  const stack = [blockedId.toString()];
+  const visited = new Set();
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === target) return true;
+    if (visited.has(current)) continue;
+    visited.add(current);
+    stack.push(...(graph.get(current) || []));
+  }
+
+  return false;
+};
+
+/**
+ * Find the longest chain of open tasks (the critical path)
+ * @param {Array} tasks - Tasks with _id, status and blocks
+ * @param {Array<String>} finalStatuses - Statuses that count as done
+ * @returns {Array<String>} Task ids from the first blocker to the last task
+ */
+const findCriticalPath = (tasks, finalStatuses) => {
+  const open = tasks.filter((task) => !finalStatuses.includes(task.status));
+  const openIds = new Set(open.map((task) => task._id.toString()));
+  const graph = buildGraph(open);
+
+  // Longest path starting at each node, memoized. Links are checked for
+  // cycles when added, but an edge back to a node still on the recursion
+  // stack is skipped so bad stored data cannot recurse forever
+  const memo = new Map();
+  const inProgress = new Set();
+  const longestFrom = (id) => {
+    if (memo.has(id)) return memo.get(id);
+    inProgress.add(id);
+
+    let best = [id];
+    for (const next of graph.get(id) || []) {
+      if (!openIds.has(next) || inProgress.has(next)) continue;
+      const path = longestFrom(next);
+      if (path.length + 1 > best.length) best = [id, ...path];
+    }
+
+    inProgress.delete(id);
+    memo.set(id, best);
+    return best;
+  };
+
+  let criticalPath = [];
+  for (const id of openIds) {
+    const path = longestFrom(id);
+    if (path.length > criticalPath.length) criticalPath = path;
+  }
+
+  // A single unlinked task is not a meaningful path
+  return criticalPath.length > 1 ? criticalPath : [];
+};
+
+/**
+ * Get the blockers of a task that are not in a final status yet
+ * @returns {Promise<Array>} Open blocking tasks (_id, title, status)
+ */
+const getOpenBlockers = async (task, project) => {
+  if (!task.blockedBy || task.blockedBy.length === 0) return [];
+
+  return Task.find({
+    _id: { $in: task.blockedBy },
+    status: { $nin: project.getFinalStatuses() },
+  }).select("_id title status");
+};
+
+/**
+ * Refuse to move a task into a final status while blockers are open
+ * @param {Object} task - Task document
+ * @param {Object} project - Project document
+ * @param {String} newStatus - Status the task is about to move into
+ */
+const assertNotBlocked = async (task, project, newStatus) => {
+  if (!project.getFinalStatuses().includes(newStatus)) return;
+
+  const openBlockers = await getOpenBlockers(task, project);
+
+  if (openBlockers.length > 0) {
+    throw new ConflictError(
+      `Cannot move task to "${newStatus}" while ${openBlockers.length} blocking task(s) are still open`,
+      ERROR_CODES.TASK_BLOCKED,
+      { blockers: openBlockers }
+    );
+  }
+};
+
+/**
+ * Refuse to move several tasks into a final status at once while any of
+ * them has open blockers. Blockers among the moved tasks count as done
+ * @param {Array} tasks - Tasks being moved (with blockedBy)
+ * @param {Object} project - Project document
+ * @param {String} newStatus - Status the tasks are about to move into
+ */
+const assertNoneBlocked = async (tasks, project, newStatus) => {
+  if (!project.getFinalStatuses().includes(newStatus)) return;
+
+  const movedIds = tasks.map((task) => task._id.toString());
+  const blockerIds = tasks
+    .flatMap((task) => task.blockedBy || [])
+    .filter((id) => !movedIds.includes(id.toString()));
+  if (blockerIds.length === 0) return;
+
+  const openBlockers = await Task.find({
+    _id: { $in: blockerIds },
+    status: { $nin: project.getFinalStatuses() },
+  }).select("_id title status");
+
+  if (openBlockers.length > 0) {
+    throw new ConflictError(
+      `Cannot move tasks to "${newStatus}" while ${openBlockers.length} blocking task(s) are still open`,
+      ERROR_CODES.TASK_BLOCKED,
+      { blockers: openBlockers }
+    );
+  }
+};
+
+module.exports = {
+  buildGraph,
+  createsCycle,
+  findCriticalPath,
+  getOpenBlockers,
+  assertNotBlocked,
+  assertNoneBlocked,
+};
@@ -0,0 +1,149 @@
+// utils/dueDateScheduler.js
+const Automation = require("../models/Automation");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const { runAutomations } = require("./automationEngine");
+const { spawnNextOccurrence } = require("./recurrence");
+
+/**
+ * Due date scheduler
+ * Periodically scans for overdue tasks and fires task_due_date_passed
+ * automations exactly once per task per due date. Overdue recurring tasks
+ * also spawn their next instance (see utils/recurrence.js).
+ *
+ * A task is claimed by atomically setting dueDateTriggeredFor to its current
+ * dueDate before any automation runs, so restarts or overlapping scans never
+ * fire the same deadline twice. Moving the due date re-arms the trigger.
+ */
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 200;
+
+let timer = null;
+let running = false;
+
+/**
+ * Process all overdue tasks once
+ * @returns {Promise<Number>} Number of tasks the trigger fired for
+ */
+const scanOverdueTasks = async () => {
+  // Guard against overlapping scans when a run takes longer than the interval
+  if (running) return 0;
+  running = true;
+
+  let fired = 0;
+
+  try {
+    // Only projects with an active due date rule need to be scanned
+    const projectIds = await Automation.distinct("project", {
+      "trigger.type": "task_due_date_passed",
+      active: true,
+    });
+
+    if (projectIds.length === 0) return 0;
+
+    const projects = await Project.find({ _id: { $in: projectIds } });
+
+    for (const project of projects) {
+      const tasks = await Task.find({
+        project: project._id,
+        status: { $nin: project.getFinalStatuses() },
+        dueDate: { $lt: new Date() },
+        $expr: { $ne: ["$dueDateTriggeredFor", "$dueDate"] },
+      })
+        .select("_id dueDate")
+        .limit(BATCH_SIZE);
+
+      for (const { _id, dueDate } of tasks) {
+        // Claim the task for this deadline; null means another run got it first
+        const task = await Task.findOneAndUpdate(
+          { _id, dueDate, dueDateTriggeredFor: { $ne: dueDate } },
+          { $set: { dueDateTriggeredFor: dueDate } },
+          { new: true }
+        );
+
+        if (!task) continue;
+
+        await runAutomations("task_due_date_passed", task);
+        fired += 1;
+      }
+    }
+  } catch (error) {
+    console.error("Error scanning overdue tasks:", error.message);
+  } finally {
+    running = false;
+  }
+
+  return fired;
+};
+
+/**
+ * Create the next instance of every overdue recurring task once
+ * @returns {Promise<Number>} Number of instances created
+ */
+const scanRecurringTasks = async () => {
+  let spawned = 0;
+
+  try {
+    const tasks = await Task.find({
+      "recurrence.active": true,
+      recurrenceSpawnedAt: null,
+      dueDate: { $lt: new Date() },
+    }).limit(BATCH_SIZE);
+
+    const projects = await Project.find({
+      _id: { $in: [...new Set(tasks.map((t) => t.project.toString()))] },
+    });
+
+    for (const task of tasks) {
+      const project = projects.find((p) => p._id.equals(task.project));
+      if (!project) continue;
+
+      // spawnNextOccurrence claims the task, so overlapping scans are safe
+      const nextTask = await spawnNextOccurrence(task, project);
+      if (!nextTask) continue;
+
+      await runAutomations("task_created", nextTask);
+      spawned += 1;
+    }
+  } catch (error) {
+    console.error("Error spawning recurring tasks:", error.message);
+  }
+
+  return spawned;
+};
+
+// One scheduler run
+const tick = async () => {
+  await scanOverdueTasks();
+  await scanRecurringTasks();
+};
+
+/**
+ * Start the periodic scan
+ * The interval can be configured with DUE_DATE_SCAN_INTERVAL_MS
+ */
+const start = (intervalMs) => {
+  if (timer) return;
+
+  const interval =
+    intervalMs ||
+    parseInt(process.env.DUE_DATE_SCAN_INTERVAL_MS, 10) ||
+    DEFAULT_INTERVAL_MS;
+
+  timer = setInterval(tick, interval);
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+
+  console.log(`Due date scheduler started (every ${interval / 1000}s)`);
+};
+
+// Stop the periodic scan
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { start, stop, scanOverdueTasks, scanRecurringTasks };
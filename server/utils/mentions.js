@@ -0,0 +1,147 @@
+// utils/mentions.js
+const User = require("../models/User");
+const Mention = require("../models/Mention");
+const Notification = require("../models/Notification");
+
+/**
+ * Mentions
+ * Comments and task descriptions can mention project members by email
+ * (@jane@example.com) or by name, written without spaces (@JaneDoe) or
+ * quoted (@"Jane Doe"). Names are matched case-insensitively; a name shared
+ * by several members is ambiguous and mentions nobody, use the email then.
+ * Text that does not match a member is left alone.
+ */
+
+// @"quoted name", @email or @name; the @ must not follow a word character
+// so email addresses in plain text are not read as mentions
+const MENTION_PATTERN =
+  /(?:^|[^\w@])@(?:"([^"\n]+)"|([\w.+-]+@[\w-]+(?:\.[\w-]+)+)|([\w.-]+))/g;
+
+// Lowercased with whitespace removed, so "Jane Doe" matches @janedoe
+const compact = (text) => text.toLowerCase().replace(/\s+/g, "");
+
+/**
+ * Mention handles in a text
+ * @returns {Object} { emails, names } as sets of compacted handles
+ */
+const parseMentions = (text) => {
+  const emails = new Set();
+  const names = new Set();
+
+  for (const match of (text || "").matchAll(MENTION_PATTERN)) {
+    const [, quoted, email, name] = match;
+
+    if (email) emails.add(email.toLowerCase());
+    // Sentence punctuation after a name is not part of it
+    else names.add(compact(quoted || name.replace(/[.-]+$/, "")));
+  }
+
+  return { emails, names };
+};
+
+/**
+ * Resolve the mentions in a text against the members of a project
+ * @param {Object} project - Project document (owner and members)
+ * @param {String} text - Comment text or task description
+ * @returns {Promise<Array>} Ids of the mentioned members
+ */
+const resolveMentions = async (project, text) => {
+  const { emails, names } = parseMentions(text);
+  if (emails.size === 0 && names.size === 0) return [];
+
+  const memberIds = [project.owner, ...project.members.map((m) => m.user)];
+  const members = await User.find({ _id: { $in: memberIds } }).select(
+    "name email"
+  );
+
+  // Members per compacted name, to leave ambiguous names out
+  const byName = new Map();
+  for (const member of members) {
+    const key = compact(member.name || "");
+    byName.set(key, [...(byName.get(key) || []), member]);
+  }
+
+  const mentioned = new Map();
+
+  for (const member of members) {
+    if (member.email && emails.has(member.email.toLowerCase())) {
+      mentioned.set(member._id.toString(), member._id);
+    }
+  }
+
+  for (const name of names) {
+    const matches = byName.get(name) || [];
+    if (matches.length === 1) {
+      mentioned.set(matches[0]._id.toString(), matches[0]._id);
+    }
+  }
+
+  return [...mentioned.values()];
+};
+
+/**
+ * Record the mentions of a comment or description and notify the members
+ * mentioned for the first time. Members no longer mentioned after an edit
+ * lose their mention record; the author is never notified of their own
+ * mention.
+ * @param {Object} options - { task, comment, userIds, mentionedBy }
+ *   comment is null for the task description
+ * @returns {Promise<Array>} Ids of the newly mentioned members
+ */
+const recordMentions = async ({
+  task,
+  comment = null,
+  userIds,
+  mentionedBy,
+}) => {
+  const source = comment ? "comment" : "description";
+  const filter = { task: task._id, comment: comment ? comment._id : null };
+
+  const existing = await Mention.find(filter).distinct("user");
+  const existingIds = existing.map((id) => id.toString());
+  const currentIds = userIds.map((id) => id.toString());
+
+  const removed = existingIds.filter((id) => !currentIds.includes(id));
+  if (removed.length > 0) {
+    await Mention.deleteMany({ ...filter, user: { $in: removed } });
+  }
+
+  const added = currentIds.filter(
+    (id) => !existingIds.includes(id) && id !== mentionedBy.toString()
+  );
+  if (added.length === 0) return [];
+
+  await Mention.insertMany(
+    added.map((user) => ({
+      ...filter,
+      user,
+      project: task.project,
+      source,
+      mentionedBy,
+    }))
+  );
+
+  const where =
+    source === "comment"
+      ? "a comment on the task"
+      : "the description of the task";
+
+  // create (not insertMany) so each notification is pushed over the socket
+  for (const recipient of added) {
+    await Notification.create({
+      recipient,
+      type: "mention",
+      message: `You were mentioned in ${where} "${task.title}"`,
+      relatedProject: task.project,
+      relatedTask: task._id,
+    });
+  }
+
+  return added;
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  recordMentions,
+};
@@ -0,0 +1,79 @@
+// utils/permissions.js
+/**
+ * Role-based permission matrix
+ * Maps the project member roles (owner, editor, viewer) to the actions
+ * they may perform. Used by the requirePermission middleware and the
+ * WebSocket server so every entry point enforces the same rules.
+ */
+
+const PERMISSIONS = {
+  PROJECT_READ: "project:read",
+  PROJECT_UPDATE: "project:update",
+  PROJECT_DELETE: "project:delete",
+  MEMBER_ADD: "member:add",
+  MEMBER_REMOVE: "member:remove",
+  MEMBER_UPDATE_ROLE: "member:update_role",
+  TASK_READ: "task:read",
+  TASK_CREATE: "task:create",
+  TASK_UPDATE: "task:update",
+  TASK_DELETE: "task:delete",
+  TASK_COMMENT: "task:comment",
+  AUTOMATION_READ: "automation:read",
+  AUTOMATION_CREATE: "automation:create",
+  AUTOMATION_UPDATE: "automation:update",
+  AUTOMATION_DELETE: "automation:delete",
+  AUDIT_READ: "audit:read",
+};
+
+const VIEWER_PERMISSIONS = [
+  PERMISSIONS.PROJECT_READ,
+  PERMISSIONS.TASK_READ,
+  PERMISSIONS.AUTOMATION_READ,
+];
+
+const EDITOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  PERMISSIONS.TASK_CREATE,
+  PERMISSIONS.TASK_UPDATE,
+  PERMISSIONS.TASK_DELETE,
+  PERMISSIONS.TASK_COMMENT,
+  PERMISSIONS.AUTOMATION_CREATE,
+  PERMISSIONS.AUTOMATION_UPDATE,
+  PERMISSIONS.AUTOMATION_DELETE,
+];
+
+const ROLE_PERMISSIONS = {
+  owner: Object.values(PERMISSIONS),
+  editor: EDITOR_PERMISSIONS,
+  viewer: VIEWER_PERMISSIONS,
+};
+
+/**
+ * Get the user's role in a project
+ * The project owner is always treated as "owner"
+ * @returns {String|null} Role name, or null when the user is not a member
+ */
+const getMemberRole = (project, userId) => {
+  if (!project || !userId) return null;
+
+  if (project.owner && project.owner.toString() === userId.toString()) {
+    return "owner";
+  }
+
+  const member = project.members.find(
+    (m) => m.user.toString() === userId.toString()
+  );
+
+  return member ? member.role : null;
+};
+
+// Check whether a role grants a permission
+const hasPermission = (role, permission) =>
+  Boolean(role && ROLE_PERMISSIONS[role]?.includes(permission));
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getMemberRole,
+  hasPermission,
+};
@@ -0,0 +1,312 @@
+// utils/projectClone.js
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+const Automation = require("../models/Automation");
+const {
+  assertProjectMember,
+  validateWorkflow,
+  validateAutomationLogic,
+} = require("./validators");
+
+/**
+ * Project cloning
+ * Copies a project with the parts the caller picks. Tasks keep their
+ * hierarchy, dependencies and recurring series: every task gets a new id
+ * up front and the references between tasks are rewritten to the new ids.
+ */
+
+const CLONE_DEFAULTS = {
+  statuses: true,
+  members: false,
+  automations: true,
+  tasks: true,
+  comments: false,
+  history: false,
+};
+
+// Rewrite a task reference to the id of its copy
+const remapId = (idMap, id) => (id ? idMap.get(id.toString()) || null : null);
+
+/**
+ * Build the cloned project document
+ * The user cloning becomes the owner; copied members keep their roles
+ */
+const buildProject = (source, { title, userId, include }) => {
+  const project = new Project({
+    title,
+    description: source.description,
+    owner: userId,
+    members: [{ user: userId, role: "owner" }],
+  });
+
+  if (include.statuses) {
+    project.statuses = source.statuses.map(
+      ({ name, order, isFinal, wipLimit, wipLimitPerAssignee }) => ({
+        name,
+        order,
+        isFinal,
+        wipLimit,
+        wipLimitPerAssignee,
+      })
+    );
+    project.transitions = source.transitions.map(({ from, to, roles }) => ({
+      from,
+      to,
+      roles: [...roles],
+    }));
+  }
+
+  if (include.members) {
+    for (const member of source.members) {
+      if (member.user.toString() === userId.toString()) continue;
+
+      project.members.push({
+        user: member.user,
+        // There is one owner per project: the user cloning it
+        role: member.role === "owner" ? "editor" : member.role,
+      });
+    }
+  }
+
+  return project;
+};
+
+/**
+ * Copy the source tasks into the new project
+ * Statuses missing from the new project fall back to its first status and
+ * assignees who are not members of it go to assigneeFallback (or nobody)
+ */
+const buildTasks = (
+  sourceTasks,
+  project,
+  { userId, include, assigneeFallback }
+) => {
+  const statusNames = project.statuses.map((s) => s.name);
+  const memberIds = project.members.map((member) => member.user.toString());
+
+  // New ids first so parents, dependencies and series can point at copies
+  const idMap = new Map(
+    sourceTasks.map((task) => [
+      task._id.toString(),
+      new mongoose.Types.ObjectId(),
+    ])
+  );
+
+  // A series whose first task was not copied (e.g. archived) is headed by
+  // its earliest copied occurrence instead
+  const seriesHeads = new Map();
+  for (const task of sourceTasks) {
+    if (!task.seriesId) continue;
+    const seriesId = task.seriesId.toString();
+    if (idMap.has(seriesId)) continue;
+
+    const head = seriesHeads.get(seriesId);
+    if (!head || (task.occurrence || 0) < (head.occurrence || 0)) {
+      seriesHeads.set(seriesId, task);
+    }
+  }
+
+  const remapSeries = (seriesId) => {
+    if (!seriesId) return null;
+    const head = seriesHeads.get(seriesId.toString());
+    return head ? idMap.get(head._id.toString()) : remapId(idMap, seriesId);
+  };
+
+  const remapAssignee = (assignee) => {
+    if (!assignee) return null;
+    return memberIds.includes(assignee.toString())
+      ? assignee
+      : assigneeFallback || null;
+  };
+
+  // insertMany skips the save hooks, so history is written here
+  const tasks = sourceTasks.map((source) => {
+    const task = source.toObject();
+
+    return {
+      _id: idMap.get(task._id.toString()),
+      title: task.title,
+      description: task.description,
+      project: project._id,
+      status: statusNames.includes(task.status)
+        ? task.status
+        : project.statuses[0].name,
+      assignee: remapAssignee(task.assignee),
+      dueDate: task.dueDate,
+      priority: task.priority,
+      parent: remapId(idMap, task.parent),
+      rank: task.rank,
+      recurrence: task.recurrence,
+      seriesId: remapSeries(task.seriesId),
+      occurrence: task.occurrence,
+      recurrenceSpawnedAt: task.recurrenceSpawnedAt,
+      checklist: task.checklist,
+      history: include.history
+        ? task.history
+        : [
+            {
+              user: userId,
+              action: "created",
+              newValue: task.title,
+              timestamp: Date.now(),
+            },
+          ],
+      creator: task.creator,
+      // Dependencies on tasks that were not copied are dropped
+      blockedBy: task.blockedBy.map((id) => remapId(idMap, id)).filter(Boolean),
+      blocks: task.blocks.map((id) => remapId(idMap, id)).filter(Boolean),
+      dueDateTriggeredFor: task.dueDateTriggeredFor,
+    };
+  });
+
+  return { tasks, idMap };
+};
+
+/**
+ * Copy the comments of the source tasks onto their copies
+ * Replies keep their thread: comment ids are remapped like task ids.
+ * Mentions of users who are not members of the new project are dropped
+ */
+const buildComments = (sourceComments, project, taskIdMap) => {
+  const memberIds = project.members.map((member) => member.user.toString());
+
+  const idMap = new Map(
+    sourceComments.map((comment) => [
+      comment._id.toString(),
+      new mongoose.Types.ObjectId(),
+    ])
+  );
+
+  return sourceComments.map((source) => {
+    const comment = source.toObject();
+
+    return {
+      _id: idMap.get(comment._id.toString()),
+      task: remapId(taskIdMap, comment.task),
+      project: project._id,
+      user: comment.user,
+      text: comment.text,
+      parent: remapId(idMap, comment.parent),
+      mentions: (comment.mentions || []).filter((user) =>
+        memberIds.includes(user.toString())
+      ),
+      editedAt: comment.editedAt,
+      edits: comment.edits,
+      deletedAt: comment.deletedAt,
+      deletedBy: comment.deletedBy,
+      createdAt: comment.createdAt,
+    };
+  });
+};
+
+/**
+ * Clone a project in one transaction
+ * @param {Object} source - Project document to copy
+ * @param {Object} options - { title, userId, include, assigneeFallback }
+ *   include picks what to copy: statuses, members, automations, tasks,
+ *   comments and history (see CLONE_DEFAULTS)
+ * @returns {Promise<Object>} { project, tasksCreated, automationsCreated, skippedAutomations }
+ */
+const duplicateProject = async (
+  source,
+  { title, userId, include = {}, assigneeFallback = null }
+) => {
+  const options = { ...CLONE_DEFAULTS, ...include };
+
+  const project = buildProject(source, {
+    title: title || `Copy of ${source.title}`,
+    userId,
+    include: options,
+  });
+
+  validateWorkflow(project);
+
+  if (assigneeFallback) {
+    assertProjectMember(
+      project,
+      assigneeFallback,
+      "Fallback assignee must be a member of the cloned project"
+    );
+  }
+
+  // Automations that no longer fit the new project are skipped
+  const automations = [];
+  const skippedAutomations = [];
+
+  if (options.automations) {
+    const sourceAutomations = await Automation.find({ project: source._id });
+
+    for (const automation of sourceAutomations) {
+      const { name, trigger, action, active } = automation.toObject();
+
+      try {
+        validateAutomationLogic(trigger, action, project);
+        automations.push({
+          project: project._id,
+          name,
+          trigger,
+          action,
+          active,
+          creator: userId,
+        });
+      } catch (error) {
+        skippedAutomations.push({ name, reason: error.message });
+      }
+    }
+  }
+
+  let tasks = [];
+  let comments = [];
+
+  if (options.tasks) {
+    const sourceTasks = await Task.find({ project: source._id });
+    let taskIdMap;
+    ({ tasks, idMap: taskIdMap } = buildTasks(sourceTasks, project, {
+      userId,
+      include: options,
+      assigneeFallback,
+    }));
+
+    if (options.comments) {
+      const sourceComments = await Comment.find({
+        task: { $in: sourceTasks.map((task) => task._id) },
+      });
+      comments = buildComments(sourceComments, project, taskIdMap);
+    }
+  }
+
+  // Start a session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await project.save({ session });
+    await Automation.insertMany(automations, { session });
+    await Task.insertMany(tasks, { session });
+    await Comment.insertMany(comments, { session });
+
+    // Commit the transaction
+    await session.commitTransaction();
+  } catch (error) {
+    // Abort transaction on error
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    // End session
+    session.endSession();
+  }
+
+  return {
+    project,
+    tasksCreated: tasks.length,
+    automationsCreated: automations.length,
+    skippedAutomations,
+  };
+};
+
+module.exports = {
+  CLONE_DEFAULTS,
+  duplicateProject,
+};
@@ -0,0 +1,307 @@
+// utils/recurrence.js
+const Task = require("../models/Task");
+const Notification = require("../models/Notification");
+const { emitToProject } = require("../websocket/socket");
+
+/**
+ * Recurring tasks
+ * A task with a recurrence rule belongs to a series (seriesId is the first
+ * task's id). When an instance reaches a final status or its due date
+ * passes, the next instance is created with the following due date, the
+ * same assignee, description and a reset checklist. Each instance spawns
+ * at most once: recurrenceSpawnedAt is claimed atomically first.
+ *
+ * Rules are objects ({ frequency, interval, byWeekday, byMonthDay, count,
+ * until }) or an RRULE subset (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT,
+ * UNTIL), e.g. "FREQ=WEEKLY;BYDAY=MO,TH".
+ */
+
+const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RRULE UNTIL is 20261231 or 20261231T235959Z; ISO dates are accepted too
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(
+    value
+  );
+
+  if (!match) return new Date(value);
+
+  const [, year, month, day, hours = 23, minutes = 59, seconds = 59] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+// Turn an RRULE string into a rule object
+const parseRRule = (text) => {
+  const rule = {};
+
+  for (const part of text.replace(/^RRULE:/i, "").split(";")) {
+    if (!part) continue;
+    const [key, value = ""] = part.split("=");
+
+    switch (key.toUpperCase()) {
+      case "FREQ":
+        rule.frequency = value.toLowerCase();
+        break;
+      case "INTERVAL":
+        rule.interval = Number(value);
+        break;
+      case "BYDAY":
+        rule.byWeekday = value
+          .split(",")
+          .map((day) => WEEKDAYS.indexOf(day.trim().toUpperCase()));
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = Number(value);
+        break;
+      case "COUNT":
+        rule.count = Number(value);
+        break;
+      case "UNTIL":
+        rule.until = parseUntil(value);
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  }
+
+  return rule;
+};
+
+/**
+ * Validate a recurrence rule and return it in stored form
+ * @param {Object|String} input - Rule object or RRULE string
+ * @returns {Object} { frequency, interval, byWeekday, byMonthDay, count, until }
+ * @throws {Error} With a readable message when the rule is invalid
+ */
+const normalizeRecurrence = (input) => {
+  const rule = typeof input === "string" ? parseRRule(input) : input;
+
+  if (!rule || typeof rule !== "object") {
+    throw new Error("Recurrence must be a rule object or an RRULE string");
+  }
+
+  const { frequency, interval = 1, byWeekday, byMonthDay, count, until } = rule;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Recurrence frequency must be ${FREQUENCIES.join(", ")}`);
+  }
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    throw new Error("Recurrence interval must be between 1 and 365");
+  }
+
+  const normalized = { frequency, interval };
+
+  if (byWeekday !== undefined) {
+    if (
+      frequency !== "weekly" ||
+      !Array.isArray(byWeekday) ||
+      byWeekday.length === 0 ||
+      !byWeekday.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      throw new Error(
+        "Recurrence weekdays (0 = Sunday to 6 = Saturday) only apply to weekly rules"
+      );
+    }
+    normalized.byWeekday = [...new Set(byWeekday)].sort((a, b) => a - b);
+  }
+
+  if (byMonthDay !== undefined) {
+    if (
+      frequency !== "monthly" ||
+      !Number.isInteger(byMonthDay) ||
+      byMonthDay < 1 ||
+      byMonthDay > 31
+    ) {
+      throw new Error(
+        "Recurrence day of month (1-31) only applies to monthly rules"
+      );
+    }
+    normalized.byMonthDay = byMonthDay;
+  }
+
+  if (count !== undefined) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error("Recurrence count must be a positive integer");
+    }
+    normalized.count = count;
+  }
+
+  if (until !== undefined && until !== null) {
+    const date = new Date(until);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error("Recurrence until must be a valid date");
+    }
+    normalized.until = date;
+  }
+
+  return normalized;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Move a date by whole months, keeping the day (clamped to the month length)
+const addMonths = (date, months, day = date.getUTCDate()) => {
+  const target = date.getUTCMonth() + months;
+  const year = date.getUTCFullYear() + Math.floor(target / 12);
+  const month = ((target % 12) + 12) % 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  const result = new Date(date);
+  result.setUTCFullYear(year, month, Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * The occurrence after a date
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {Date} from - Due date of the current instance
+ * @returns {Date}
+ */
+const nextOccurrence = (rule, from) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case "daily":
+      return addDays(from, interval);
+
+    case "weekly": {
+      if (!rule.byWeekday || rule.byWeekday.length === 0) {
+        return addDays(from, 7 * interval);
+      }
+
+      // Next listed weekday, skipping the weeks in between the intervals
+      const weekStart = addDays(from, -from.getUTCDay());
+      for (let offset = 1; offset <= 7 * interval + 7; offset++) {
+        const candidate = addDays(from, offset);
+        const week = Math.floor((candidate - weekStart) / (7 * DAY_MS));
+
+        if (
+          week % interval === 0 &&
+          rule.byWeekday.includes(candidate.getUTCDay())
+        ) {
+          return candidate;
+        }
+      }
+      return addDays(from, 7 * interval);
+    }
+
+    case "monthly":
+      return addMonths(from, interval, rule.byMonthDay || from.getUTCDate());
+
+    case "yearly":
+      return addMonths(from, 12 * interval);
+
+    default:
+      throw new Error(`Unknown recurrence frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Due date of the next instance; occurrences already in the past are skipped
+ */
+const nextDueDate = (rule, dueDate) => {
+  const now = new Date();
+  let next = nextOccurrence(rule, dueDate || now);
+
+  for (let i = 0; next <= now && i < 1000; i++) {
+    next = nextOccurrence(rule, next);
+  }
+
+  return next;
+};
+
+/**
+ * Create the next instance of a recurring task, once per instance
+ * @param {Object} task - Current instance
+ * @param {Object} project - Project document
+ * @returns {Promise<Object|null>} The new task, or null when nothing spawned
+ */
+const spawnNextOccurrence = async (task, project) => {
+  if (!task.recurrence || !task.recurrence.active) return null;
+
+  // Claim the instance; null means it already spawned (or was stopped)
+  const current = await Task.findOneAndUpdate(
+    {
+      _id: task._id,
+      "recurrence.active": true,
+      recurrenceSpawnedAt: null,
+    },
+    { $set: { recurrenceSpawnedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!current) return null;
+
+  const rule = current.recurrence.toObject();
+  const occurrence = (current.occurrence || 1) + 1;
+  const dueDate = nextDueDate(rule, current.dueDate);
+
+  // The series has ended
+  if (
+    (rule.count && occurrence > rule.count) ||
+    (rule.until && dueDate > rule.until)
+  ) {
+    return null;
+  }
+
+  // Keep the assignee only while they are still a project member
+  const assignee =
+    current.assignee &&
+    project.members.some(
+      (member) => member.user.toString() === current.assignee.toString()
+    )
+      ? current.assignee
+      : null;
+
+  const nextTask = await Task.create({
+    title: current.title,
+    description: current.description,
+    project: current.project,
+    status: project.statuses[0].name,
+    assignee,
+    dueDate,
+    priority: current.priority,
+    parent: current.parent,
+    creator: current.creator,
+    checklist: current.checklist.map((item) => ({ text: item.text })),
+    recurrence: rule,
+    seriesId: current.seriesId || current._id,
+    occurrence,
+  });
+
+  if (assignee) {
+    await Notification.create({
+      recipient: assignee,
+      type: "task_assignment",
+      message: `You've been assigned to the task "${nextTask.title}"`,
+      relatedProject: nextTask.project,
+      relatedTask: nextTask._id,
+    });
+  }
+
+  emitToProject(nextTask.project, "task:created", { task: nextTask });
+
+  return nextTask;
+};
+
+/**
+ * Spawn the next instance when a task has just reached a final status
+ * @returns {Promise<Object|null>} The new task, if one was created
+ */
+const spawnIfCompleted = (task, project) => {
+  if (!project.getFinalStatuses().includes(task.status)) {
+    return Promise.resolve(null);
+  }
+
+  return spawnNextOccurrence(task, project);
+};
+
+module.exports = {
+  normalizeRecurrence,
+  nextOccurrence,
+  spawnNextOccurrence,
+  spawnIfCompleted,
+};
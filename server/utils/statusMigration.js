@@ -0,0 +1,185 @@
+// utils/statusMigration.js
+const mongoose = require("mongoose");
+const Task = require("../models/Task");
+const Automation = require("../models/Automation");
+const SavedView = require("../models/SavedView");
+const { DEFAULT_CONDITION_FIELDS } = require("./automationEngine");
+const { validateWorkflow } = require("./validators");
+const { assertNoneBlocked } = require("./dependencies");
+const { assertWipLimitForTasks } = require("./wipLimits");
+
+/**
+ * Status migration
+ * Renames a project status, or merges it into another one, and rewrites
+ * everything that refers to it by name in a single transaction: tasks
+ * (with a history entry each), automation triggers and actions, workflow
+ * transitions and saved view filters. A merge moves tasks like a status
+ * change does, so it respects blockers and WIP limits.
+ */
+
+// Condition fields that hold a status name
+const STATUS_CONDITION_FIELDS = ["status", "oldStatus"];
+
+const replaceName = (value, from, to) => {
+  if (Array.isArray(value)) {
+    return [...new Set(value.map((item) => (item === from ? to : item)))];
+  }
+  return value === from ? to : value;
+};
+
+/**
+ * Point an automation's status references at the new name
+ * @returns {Boolean} Whether the automation changed
+ */
+const migrateAutomation = (automation, from, to) => {
+  let changed = false;
+  const condition = automation.trigger.condition;
+
+  if (condition && condition.value !== undefined) {
+    const field =
+      condition.field || DEFAULT_CONDITION_FIELDS[automation.trigger.type];
+    const value = replaceName(condition.value, from, to);
+
+    if (
+      STATUS_CONDITION_FIELDS.includes(field) &&
+      JSON.stringify(value) !== JSON.stringify(condition.value)
+    ) {
+      condition.value = value;
+      automation.markModified("trigger.condition.value");
+      changed = true;
+    }
+  }
+
+  const params = automation.action.params;
+
+  if (automation.action.type === "change_status" && params.status === from) {
+    automation.action.params = { ...params, status: to };
+    automation.markModified("action.params");
+    changed = true;
+  }
+
+  return changed;
+};
+
+// Rewrite the project's transitions; merging can create self-loops and
+// duplicates, which are dropped
+const migrateTransitions = (transitions, from, to) => {
+  const seen = new Set();
+
+  return transitions
+    .map((t) => ({
+      from: t.from === from ? to : t.from,
+      to: t.to === from ? to : t.to,
+      roles: t.roles,
+    }))
+    .filter((t) => {
+      const key = `${t.from} -> ${t.to}`;
+      if (t.from === t.to || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Rename or merge a status and migrate every reference to it
+ * @param {Object} project - Project document (loaded by requirePermission)
+ * @param {String} from - Status to rename or merge away
+ * @param {String} to - New name, or the existing status to merge into
+ * @param {String} userId - User recorded in the task history
+ * @param {Object} options - { overrideWipLimit } (owner override)
+ * @returns {Promise<Object>} { mode, tasksUpdated, automationsUpdated, viewsUpdated }
+ */
+const migrateStatus = async (
+  project,
+  from,
+  to,
+  userId,
+  { overrideWipLimit = false } = {}
+) => {
+  const merge = project.statuses.some((s) => s.name === to);
+
+  if (merge) {
+    // Checked against the workflow before the merge changes it
+    const moving = await Task.find({ project: project._id, status: from })
+      .select("_id assignee blockedBy")
+      .lean();
+
+    // Tasks already in a final status were checked when they got there
+    if (!project.getFinalStatuses().includes(from)) {
+      await assertNoneBlocked(moving, project, to);
+    }
+    await assertWipLimitForTasks(project, to, moving, {
+      override: overrideWipLimit,
+    });
+
+    project.statuses = project.statuses.filter((s) => s.name !== from);
+  } else {
+    project.statuses.find((s) => s.name === from).name = to;
+  }
+
+  project.transitions = migrateTransitions(project.transitions, from, to);
+  validateWorkflow(project);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // updateMany skips the save hook, so the history entry is added here
+    const { modifiedCount: tasksUpdated } = await Task.updateMany(
+      { project: project._id, status: from },
+      {
+        $set: { status: to },
+        $push: {
+          history: {
+            user: userId,
+            action: "status_changed",
+            field: "status",
+            oldValue: from,
+            newValue: to,
+            timestamp: Date.now(),
+          },
+        },
+      },
+      { session }
+    );
+
+    const automations = await Automation.find({
+      project: project._id,
+    }).session(session);
+
+    let automationsUpdated = 0;
+    for (const automation of automations) {
+      if (migrateAutomation(automation, from, to)) {
+        await automation.save({ session });
+        automationsUpdated += 1;
+      }
+    }
+
+    const { modifiedCount: viewsUpdated } = await SavedView.updateMany(
+      { project: project._id, "filters.status": from },
+      { $set: { "filters.status.$": to } },
+      { session }
+    );
+
+    await project.save({ session });
+
+    // Commit the transaction
+    await session.commitTransaction();
+
+    return {
+      mode: merge ? "merge" : "rename",
+      tasksUpdated,
+      automationsUpdated,
+      viewsUpdated,
+    };
+  } catch (error) {
+    // Abort transaction on error
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    // End session
+    session.endSession();
+  }
+};
+
+module.exports = { migrateStatus };
@@ -0,0 +1,165 @@
+// utils/taskQuery.js
+/**
+ * Task query helpers
+ * Turns the task list query params into a MongoDB filter and sort so the
+ * project task list and search endpoints filter the same way
+ *
+ * Supported params:
+ *   status, assignee, priority, createdBy - one value or a comma-separated
+ *                                          list; assignee/createdBy accept "me"
+ *   dueDate              - tasks due on that day
+ *   dueBefore, dueAfter  - due date range (inclusive)
+ *   overdue=true         - past due and not in a final status
+ *   unassigned=true      - tasks without an assignee
+ *   text                 - case-insensitive match on title or description
+ *
+ * Saved views (models/SavedView) store the same params
+ */
+
+// Fields getProjectTasks may sort by ("rank" is the manual board order)
+const SORTABLE_FIELDS = [
+  "rank",
+  "createdAt",
+  "updatedAt",
+  "dueDate",
+  "title",
+  "status",
+];
+
+// Fields a task list can be grouped by
+const GROUPABLE_FIELDS = ["status", "assignee", "priority"];
+
+// Split "a,b" or repeated params (?status=a&status=b) into a clean list
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+};
+
+// Single value -> equality, several values -> $in
+const matchAny = (values) =>
+  values.length === 1 ? values[0] : { $in: values };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build a task filter from query params
+ * @param {Object} query - req.query
+ * @param {Object} context
+ * @param {String} context.userId - Current user, used to resolve "me"
+ * @param {Array<String>} context.finalStatuses - Statuses excluded by overdue
+ * @returns {Object} MongoDB filter (without the project condition)
+ */
+const buildTaskFilter = (query, { userId, finalStatuses = [] } = {}) => {
+  const conditions = [];
+  const resolveMe = (ids) => ids.map((id) => (id === "me" ? userId : id));
+
+  const statuses = toList(query.status);
+  if (statuses.length) conditions.push({ status: matchAny(statuses) });
+
+  const priorities = toList(query.priority);
+  if (priorities.length) conditions.push({ priority: matchAny(priorities) });
+
+  const assignees = resolveMe(toList(query.assignee));
+  if (assignees.length) conditions.push({ assignee: matchAny(assignees) });
+
+  const creators = resolveMe(toList(query.createdBy));
+  if (creators.length) conditions.push({ creator: matchAny(creators) });
+
+  if (query.unassigned === "true") conditions.push({ assignee: null });
+
+  if (query.dueDate) {
+    const date = new Date(query.dueDate);
+    // Match tasks due on the specified date
+    conditions.push({
+      dueDate: {
+        $gte: new Date(date.setHours(0, 0, 0, 0)),
+        $lte: new Date(date.setHours(23, 59, 59, 999)),
+      },
+    });
+  }
+
+  if (query.dueAfter || query.dueBefore) {
+    const range = {};
+    if (query.dueAfter) range.$gte = new Date(query.dueAfter);
+    if (query.dueBefore) range.$lte = new Date(query.dueBefore);
+    conditions.push({ dueDate: range });
+  }
+
+  if (query.overdue === "true") {
+    conditions.push({ dueDate: { $lt: new Date() } });
+    if (finalStatuses.length) {
+      conditions.push({ status: { $nin: finalStatuses } });
+    }
+  }
+
+  if (query.text) {
+    const pattern = new RegExp(escapeRegExp(query.text.trim()), "i");
+    conditions.push({
+      $or: [{ title: pattern }, { description: pattern }],
+    });
+  }
+
+  if (conditions.length === 0) return {};
+  if (conditions.length === 1) return conditions[0];
+  return { $and: conditions };
+};
+
+/**
+ * Build a sort object from sortBy/sortOrder, restricted to SORTABLE_FIELDS
+ * Rank (the board order) sorts ascending unless sortOrder says otherwise,
+ * every other field descending. _id is added as a tie-breaker so pages are
+ * stable
+ */
+const buildTaskSort = (query, defaultField = "createdAt") => {
+  const field = SORTABLE_FIELDS.includes(query.sortBy)
+    ? query.sortBy
+    : defaultField;
+  const defaultOrder = field === "rank" ? "asc" : "desc";
+  const order = (query.sortOrder || defaultOrder) === "asc" ? 1 : -1;
+
+  return { [field]: order, _id: order };
+};
+
+/**
+ * Group a page of tasks into columns
+ * Status columns follow the project's status order and include empty
+ * columns; other groups follow the order they first appear in
+ * @param {Array} tasks - Tasks of the page (assignee may be populated)
+ * @param {String} field - One of GROUPABLE_FIELDS
+ * @param {Object} project - Project document
+ * @returns {Array} [{ key, count, taskIds }]
+ */
+const groupTasks = (tasks, field, project) => {
+  const groups = new Map();
+
+  if (field === "status") {
+    [...project.statuses]
+      .sort((a, b) => a.order - b.order)
+      .forEach((status) => groups.set(status.name, []));
+  }
+
+  for (const task of tasks) {
+    const value = task[field];
+    const key = value ? (value._id || value).toString() : null;
+
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(task._id);
+  }
+
+  return [...groups].map(([key, taskIds]) => ({
+    key,
+    count: taskIds.length,
+    taskIds,
+  }));
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  GROUPABLE_FIELDS,
+  toList,
+  buildTaskFilter,
+  buildTaskSort,
+  groupTasks,
+};
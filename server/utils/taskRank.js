@@ -0,0 +1,90 @@
+// utils/taskRank.js
+const Task = require("../models/Task");
+
+/**
+ * Manual task ordering
+ * Tasks carry a fractional rank inside their status column. Moving a task
+ * between two others gives it the midpoint of their ranks, so only the
+ * moved task is written. When neighbours get too close (or older tasks
+ * have no rank yet) the column is renumbered once.
+ */
+
+const RANK_STEP = 1024;
+const MIN_RANK_GAP = 1e-6;
+
+// Tasks of a column in board order, without the task being moved
+const getColumn = (projectId, status, excludeId) =>
+  Task.find({ project: projectId, status, _id: { $ne: excludeId } })
+    .sort({ rank: 1, createdAt: 1, _id: 1 })
+    .select("_id rank");
+
+// Renumber a column with evenly spaced ranks, keeping its order
+const rebalanceColumn = async (column) => {
+  column.forEach((task, index) => {
+    task.rank = (index + 1) * RANK_STEP;
+  });
+
+  if (column.length > 0) {
+    await Task.bulkWrite(
+      column.map((task) => ({
+        updateOne: {
+          filter: { _id: task._id },
+          update: { $set: { rank: task.rank } },
+        },
+      }))
+    );
+  }
+};
+
+/**
+ * Rank that puts a task at the bottom of a column
+ * @param {ObjectId} projectId - Project of the column
+ * @param {String} status - Column status
+ * @param {ObjectId} excludeId - Task being placed
+ */
+const getBottomRank = async (projectId, status, excludeId) => {
+  const last = await Task.findOne({
+    project: projectId,
+    status,
+    _id: { $ne: excludeId },
+    rank: { $ne: null },
+  })
+    .sort({ rank: -1 })
+    .select("rank");
+
+  return last ? last.rank + RANK_STEP : RANK_STEP;
+};
+
+/**
+ * Rank that puts a task at a position in a column
+ * @param {ObjectId} projectId - Project of the column
+ * @param {String} status - Column status
+ * @param {Number} position - 0-based index; past the end means the bottom
+ * @param {ObjectId} taskId - Task being moved
+ * @returns {Promise<Number>} The rank to store on the task
+ */
+const rankForPosition = async (projectId, status, position, taskId) => {
+  const column = await getColumn(projectId, status, taskId);
+  const index = Math.min(Math.max(position, 0), column.length);
+
+  // Give unranked tasks (created before ranking existed) a place first
+  if (column.some((task) => task.rank === null || task.rank === undefined)) {
+    await rebalanceColumn(column);
+  }
+
+  let prev = column[index - 1];
+  let next = column[index];
+
+  if (prev && next && next.rank - prev.rank < MIN_RANK_GAP) {
+    await rebalanceColumn(column);
+    prev = column[index - 1];
+    next = column[index];
+  }
+
+  if (prev && next) return (prev.rank + next.rank) / 2;
+  if (prev) return prev.rank + RANK_STEP;
+  if (next) return next.rank - RANK_STEP;
+  return RANK_STEP;
+};
+
+module.exports = { RANK_STEP, getBottomRank, rankForPosition };
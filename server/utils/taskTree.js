@@ -0,0 +1,138 @@
+// utils/taskTree.js
+const Task = require("../models/Task");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  NotFoundError,
+} = require("./apiResponse");
+
+/**
+ * Subtask helpers
+ * Parent/child lookups, tree building and progress roll-up for tasks
+ * that reference a parent task in the same project
+ */
+
+/**
+ * Load and check a parent task for a (new or existing) task
+ * @param {String} parentId - Requested parent task ID
+ * @param {Object} project - Project the child belongs to
+ * @param {Object} task - Existing child task (omit when creating)
+ * @returns {Promise<Object>} The parent task document
+ */
+const resolveParent = async (parentId, project, task) => {
+  const parent = await Task.findById(parentId).select("_id project parent");
+
+  if (!parent) {
+    throw new NotFoundError(
+      "Parent task not found",
+      ERROR_CODES.TASK_NOT_FOUND
+    );
+  }
+
+  if (parent.project.toString() !== project._id.toString()) {
+    throw new BadRequestError(
+      "Parent task must belong to the same project",
+      ERROR_CODES.INVALID_PARENT
+    );
+  }
+
+  // A task cannot become a child of itself or of one of its descendants
+  if (task) {
+    const descendantIds = await getDescendantIds(task._id);
+    const ownId = task._id.toString();
+
+    if (
+      parent._id.toString() === ownId ||
+      descendantIds.some((id) => id.toString() === parent._id.toString())
+    ) {
+      throw new BadRequestError(
+        "A task cannot be nested under itself or one of its subtasks",
+        ERROR_CODES.INVALID_PARENT
+      );
+    }
+  }
+
+  return parent;
+};
+
+/**
+ * Collect the ids of every subtask below a task, breadth first
+ * @returns {Promise<Array>} Descendant task ids
+ */
+const getDescendantIds = async (taskId) => {
+  const descendants = [];
+  let frontier = [taskId];
+
+  while (frontier.length > 0) {
+    const children = await Task.find({ parent: { $in: frontier } }).select(
+      "_id"
+    );
+    frontier = children.map((child) => child._id);
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
+
+/**
+ * Progress of a task from its direct subtasks and checklist items
+ * @param {Object} task - Task with checklist
+ * @param {Array} subtasks - Direct subtasks with status
+ * @param {Array<String>} finalStatuses - Statuses that count as done
+ */
+const computeProgress = (task, subtasks, finalStatuses) => {
+  const checklist = task.checklist || [];
+
+  const subtasksDone = subtasks.filter((s) =>
+    finalStatuses.includes(s.status)
+  ).length;
+  const checklistDone = checklist.filter((item) => item.done).length;
+
+  const total = subtasks.length + checklist.length;
+  const done = subtasksDone + checklistDone;
+
+  return {
+    subtasks: { total: subtasks.length, completed: subtasksDone },
+    checklist: { total: checklist.length, completed: checklistDone },
+    percent: total === 0 ? null : Math.round((done / total) * 100),
+  };
+};
+
+/**
+ * Nest tasks under their parents and attach progress to every node
+ * Tasks whose parent is not in the list become roots
+ * @param {Array} tasks - Task documents
+ * @param {Array<String>} finalStatuses - Statuses that count as done
+ * @returns {Array} Root nodes with a `subtasks` array and `progress`
+ */
+const buildTaskTree = (tasks, finalStatuses) => {
+  const nodes = new Map(
+    tasks.map((task) => [
+      task._id.toString(),
+      { ...task.toObject({ virtuals: true }), subtasks: [] },
+    ])
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.subtasks.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  for (const node of nodes.values()) {
+    node.progress = computeProgress(node, node.subtasks, finalStatuses);
+  }
+
+  return roots;
+};
+
+module.exports = {
+  resolveParent,
+  getDescendantIds,
+  computeProgress,
+  buildTaskTree,
+};
@@ -0,0 +1,277 @@
+// utils/templates.js
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const Automation = require("../models/Automation");
+const ProjectTemplate = require("../models/ProjectTemplate");
+const { ERROR_CODES, NotFoundError } = require("./apiResponse");
+const {
+  assertValidStatus,
+  validateWorkflow,
+  validateAutomationLogic,
+} = require("./validators");
+const { RANK_STEP } = require("./taskRank");
+
+/**
+ * Project and task templates
+ * Title patterns may contain {{placeholders}}: {{date}} (YYYY-MM-DD),
+ * {{project}} and any variable passed when the template is used, e.g.
+ * "Sprint {{sprint}} planning" with { sprint: 14 }.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fill {{placeholders}}; unknown ones are left as they are
+const renderPattern = (pattern, variables = {}) => {
+  const values = {
+    date: new Date().toISOString().slice(0, 10),
+    ...variables,
+  };
+
+  return pattern.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    values[key] !== undefined ? String(values[key]) : match
+  );
+};
+
+/**
+ * Task fields from a task template or a project template's starter task
+ * @param {Object} spec - Template with titlePattern, description, priority,
+ *                        checklist and dueInDays
+ * @param {Object} variables - Placeholder values
+ */
+const taskFromTemplate = (spec, variables) => ({
+  title: renderPattern(spec.titlePattern, variables),
+  description: spec.description,
+  priority: spec.priority,
+  checklist: (spec.checklist || []).map((text) => ({ text })),
+  dueDate:
+    spec.dueInDays === null || spec.dueInDays === undefined
+      ? null
+      : new Date(Date.now() + spec.dueInDays * DAY_MS),
+});
+
+/**
+ * Check a project template's workflow, automations and starter tasks
+ * refer to its own statuses
+ */
+const validateTemplate = ({
+  statuses,
+  transitions = [],
+  automations = [],
+  tasks = [],
+}) => {
+  // An unsaved project gives access to the same checks as real projects
+  const project = new Project({ statuses, transitions });
+
+  validateWorkflow(project);
+
+  for (const { trigger, action } of automations) {
+    const condition = (trigger && trigger.condition) || {};
+    const params = (action && action.params) || {};
+
+    if (trigger.type === "task_status_changed" && condition.value) {
+      assertValidStatus(project, condition.value, "trigger condition");
+    }
+    if (action.type === "change_status" && params.status) {
+      assertValidStatus(project, params.status, "action params");
+    }
+  }
+
+  for (const task of tasks) {
+    if (task.status) assertValidStatus(project, task.status, "starter task");
+  }
+};
+
+/**
+ * Load a project template the user may use: their own, or one shared from
+ * a project they are a member of
+ */
+const findTemplateForUser = async (templateId, userId) => {
+  const memberProjectIds = await Project.find({
+    "members.user": userId,
+  }).distinct("_id");
+
+  const template = await ProjectTemplate.findOne({
+    _id: templateId,
+    $or: [
+      { owner: userId },
+      { shared: true, sourceProject: { $in: memberProjectIds } },
+    ],
+  });
+
+  if (!template) {
+    throw new NotFoundError(
+      "Template not found",
+      ERROR_CODES.TEMPLATE_NOT_FOUND
+    );
+  }
+
+  return template;
+};
+
+/**
+ * Create a project with the statuses, automations and starter tasks of a
+ * template, all in one transaction
+ * @param {Object} template - ProjectTemplate document
+ * @param {Object} options - { title, description, userId, variables }
+ * @returns {Promise<Object>} { project, tasksCreated, automationsCreated, skippedAutomations }
+ */
+const createProjectFromTemplate = async (
+  template,
+  { title, description, userId, variables = {} }
+) => {
+  const project = new Project({
+    title,
+    description: description || template.description,
+    owner: userId,
+    // Added up front so automations can be checked against the owner
+    members: [{ user: userId, role: "owner" }],
+    statuses: template.statuses.map((s) => s.toObject()),
+    transitions: template.transitions.map((t) => t.toObject()),
+  });
+
+  validateWorkflow(project);
+
+  // Automations tied to people who are not in the new project are skipped
+  const automations = [];
+  const skippedAutomations = [];
+
+  for (const { name, trigger, action, active } of template.automations) {
+    try {
+      validateAutomationLogic(trigger, action, project);
+      automations.push({
+        project: project._id,
+        name,
+        trigger,
+        action,
+        active,
+        creator: userId,
+      });
+    } catch (error) {
+      skippedAutomations.push({ name, reason: error.message });
+    }
+  }
+
+  const placeholders = { project: title, ...variables };
+  const statusNames = project.statuses.map((s) => s.name);
+
+  // insertMany skips the save hooks, so rank and history are set here
+  const tasks = template.tasks.map((spec, index) => {
+    const fields = taskFromTemplate(spec, placeholders);
+
+    return {
+      ...fields,
+      project: project._id,
+      status: statusNames.includes(spec.status)
+        ? spec.status
+        : project.statuses[0].name,
+      creator: userId,
+      rank: (index + 1) * RANK_STEP,
+      history: [
+        {
+          user: userId,
+          action: "created",
+          newValue: fields.title,
+          timestamp: Date.now(),
+        },
+      ],
+    };
+  });
+
+  // Start a session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await project.save({ session });
+    await Automation.insertMany(automations, { session });
+    await Task.insertMany(tasks, { session });
+
+    // Commit the transaction
+    await session.commitTransaction();
+  } catch (error) {
+    // Abort transaction on error
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    // End session
+    session.endSession();
+  }
+
+  return {
+    project,
+    tasksCreated: tasks.length,
+    automationsCreated: automations.length,
+    skippedAutomations,
+  };
+};
+
+/**
+ * Template fields from an existing project
+ * @param {Object} project - Project document
+ * @param {Object} options - { includeAutomations, includeTasks }
+ */
+const templateFromProject = async (
+  project,
+  { includeAutomations = true, includeTasks = true } = {}
+) => {
+  const fields = {
+    statuses: project.statuses.map(
+      ({ name, order, isFinal, wipLimit, wipLimitPerAssignee }) => ({
+        name,
+        order,
+        isFinal,
+        wipLimit,
+        wipLimitPerAssignee,
+      })
+    ),
+    transitions: project.transitions.map(({ from, to, roles }) => ({
+      from,
+      to,
+      roles: [...roles],
+    })),
+    automations: [],
+    tasks: [],
+  };
+
+  if (includeAutomations) {
+    const automations = await Automation.find({ project: project._id });
+    fields.automations = automations
+      .map((automation) => automation.toObject())
+      .map(({ name, trigger, action, active }) => ({
+        name,
+        trigger,
+        action,
+        active,
+      }));
+  }
+
+  if (includeTasks) {
+    // Top-level tasks in board order become starter tasks in the first status
+    const tasks = await Task.find({ project: project._id, parent: null }).sort({
+      rank: 1,
+      createdAt: 1,
+    });
+
+    fields.tasks = tasks.map((task) => ({
+      titlePattern: task.title,
+      description: task.description,
+      priority: task.priority,
+      checklist: task.checklist.map((item) => item.text),
+      dueInDays: task.dueDate
+        ? Math.max(Math.round((task.dueDate - task.createdAt) / DAY_MS), 0)
+        : null,
+    }));
+  }
+
+  return fields;
+};
+
+module.exports = {
+  renderPattern,
+  taskFromTemplate,
+  validateTemplate,
+  findTemplateForUser,
+  createProjectFromTemplate,
+  templateFromProject,
+};
@@ -0,0 +1,242 @@
+// utils/trash.js
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const Task = require("../models/Task");
+const Comment = require("../models/Comment");
+const Mention = require("../models/Mention");
+const Automation = require("../models/Automation");
+const Notification = require("../models/Notification");
+const SavedView = require("../models/SavedView");
+const TaskTemplate = require("../models/TaskTemplate");
+const { ERROR_CODES, BadRequestError } = require("./apiResponse");
+
+/**
+ * Trash (archived projects and tasks)
+ * Deleting a project or task archives it (see utils/archivable.js). Archived
+ * items can be restored until the retention period ends, after which the
+ * retention job (utils/trashRetention.js) purges them for good.
+ *
+ * Tasks archived together (a task and its subtasks) share one archivedAt,
+ * which is how restore finds the subtasks that go back with a task.
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days archived items are kept, configurable with TRASH_RETENTION_DAYS
+const getRetentionDays = () =>
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+
+// When an archived item will be purged
+const getPurgeDate = (archivedAt) =>
+  new Date(archivedAt.getTime() + getRetentionDays() * DAY_MS);
+
+/**
+ * Archive tasks in one write so they share the same archivedAt
+ * @param {Array} taskIds - Tasks to archive
+ * @param {String} userId - User archiving them
+ */
+const archiveTasks = async (taskIds, userId) => {
+  const archivedAt = new Date();
+
+  await Task.updateMany(
+    { _id: { $in: taskIds } },
+    { $set: { archivedAt, archivedBy: userId } }
+  );
+
+  return archivedAt;
+};
+
+/**
+ * Restore an archived task and the subtasks archived along with it
+ * Tasks whose status no longer exists go back to the first status
+ * @param {Object} task - Archived task document
+ * @param {Object} project - Project document
+ * @param {String} userId - User restoring them, recorded in the task history
+ * @returns {Promise<Array>} Ids of the restored tasks
+ */
+const restoreArchivedTask = async (task, project, userId) => {
+  if (task.parent) {
+    const parent = await Task.findById(task.parent).withArchived();
+
+    if (parent && parent.archivedAt) {
+      throw new BadRequestError(
+        "Restore the parent task first",
+        ERROR_CODES.PARENT_ARCHIVED
+      );
+    }
+
+    // The parent was purged in the meantime
+    if (!parent) {
+      await Task.updateOne({ _id: task._id }, { $set: { parent: null } });
+    }
+  }
+
+  const restoredIds = [task._id];
+  let frontier = [task._id];
+
+  while (frontier.length > 0) {
+    const children = await Task.find({
+      parent: { $in: frontier },
+      archivedAt: task.archivedAt,
+    }).select("_id");
+
+    frontier = children.map((child) => child._id);
+    restoredIds.push(...frontier);
+  }
+
+  const statusNames = project.statuses.map((s) => s.name);
+
+  // Statuses may have been renamed or removed while the tasks were archived.
+  // updateMany skips the save hook, so the history entry is added here, one
+  // update per old status
+  const staleFilter = {
+    _id: { $in: restoredIds },
+    status: { $nin: statusNames },
+  };
+  const staleStatuses = await Task.find(staleFilter)
+    .withArchived()
+    .distinct("status");
+  const newStatus = project.statuses[0].name;
+
+  for (const oldStatus of staleStatuses) {
+    await Task.updateMany(
+      { ...staleFilter, status: oldStatus },
+      {
+        $set: { status: newStatus },
+        $push: {
+          history: {
+            user: userId,
+            action: "status_changed",
+            field: "status",
+            oldValue: oldStatus,
+            newValue: newStatus,
+            timestamp: Date.now(),
+          },
+        },
+      }
+    );
+  }
+
+  await Task.updateMany(
+    { _id: { $in: restoredIds } },
+    { $set: { archivedAt: null, archivedBy: null } }
+  );
+
+  return restoredIds;
+};
+
+/**
+ * Permanently delete projects with their tasks, comments, mentions,
+ * automations, views, task templates and notifications, in one transaction
+ * @param {Array} projectIds - Projects to purge
+ */
+const purgeProjects = async (projectIds) => {
+  if (projectIds.length === 0) return;
+
+  // Start a session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const filter = { project: { $in: projectIds } };
+
+    await Task.deleteMany(filter, { session });
+    await Comment.deleteMany(filter, { session });
+    await Mention.deleteMany(filter, { session });
+    await Automation.deleteMany(filter, { session });
+    await SavedView.deleteMany(filter, { session });
+    await TaskTemplate.deleteMany(filter, { session });
+    await Notification.deleteMany(
+      { relatedProject: { $in: projectIds } },
+      { session }
+    );
+    await Project.deleteMany({ _id: { $in: projectIds } }, { session });
+
+    // Commit the transaction
+    await session.commitTransaction();
+  } catch (error) {
+    // Abort transaction on error
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    // End session
+    session.endSession();
+  }
+};
+
+/**
+ * Permanently delete tasks with their comments and mentions, the
+ * dependency links pointing at them and their notifications, in one
+ * transaction
+ * @param {Array} taskIds - Tasks to purge
+ */
+const purgeTasks = async (taskIds) => {
+  if (taskIds.length === 0) return;
+
+  // Start a session for transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await Task.deleteMany({ _id: { $in: taskIds } }, { session });
+    await Comment.deleteMany({ task: { $in: taskIds } }, { session });
+    await Mention.deleteMany({ task: { $in: taskIds } }, { session });
+
+    // Drop dependency links pointing at the purged tasks
+    await Task.updateMany(
+      { $or: [{ blockedBy: { $in: taskIds } }, { blocks: { $in: taskIds } }] },
+      { $pull: { blockedBy: { $in: taskIds }, blocks: { $in: taskIds } } },
+      { session }
+    );
+
+    // Subtasks archived later than their parent lose the link
+    await Task.updateMany(
+      { parent: { $in: taskIds } },
+      { $set: { parent: null } },
+      { session }
+    );
+
+    await Notification.deleteMany(
+      { relatedTask: { $in: taskIds } },
+      { session }
+    );
+
+    // Commit the transaction
+    await session.commitTransaction();
+  } catch (error) {
+    // Abort transaction on error
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    // End session
+    session.endSession();
+  }
+};
+
+/**
+ * Purge everything archived longer than the retention period
+ * @returns {Promise<Object>} { projects, tasks } purged counts
+ */
+const purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+  const expired = { archivedAt: { $ne: null, $lte: cutoff } };
+
+  const projectIds = await Project.find(expired).distinct("_id");
+  await purgeProjects(projectIds);
+
+  const taskIds = await Task.find(expired).distinct("_id");
+  await purgeTasks(taskIds);
+
+  return { projects: projectIds.length, tasks: taskIds.length };
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  archiveTasks,
+  restoreArchivedTask,
+  purgeProjects,
+  purgeTasks,
+  purgeExpired,
+};
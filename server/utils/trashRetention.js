@@ -0,0 +1,72 @@
+// utils/trashRetention.js
+const { getRetentionDays, purgeExpired } = require("./trash");
+
+/**
+ * Trash retention job
+ * Periodically purges projects and tasks that have been archived for longer
+ * than TRASH_RETENTION_DAYS (see utils/trash.js).
+ */
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Purge expired trash once
+ * @returns {Promise<Object>} { projects, tasks } purged counts
+ */
+const purgeTrash = async () => {
+  // Guard against overlapping runs when a purge takes longer than the interval
+  if (running) return { projects: 0, tasks: 0 };
+  running = true;
+
+  try {
+    const purged = await purgeExpired();
+
+    if (purged.projects > 0 || purged.tasks > 0) {
+      console.log(
+        `Purged ${purged.projects} project(s) and ${purged.tasks} task(s) from the trash`
+      );
+    }
+
+    return purged;
+  } catch (error) {
+    console.error("Error purging trash:", error.message);
+    return { projects: 0, tasks: 0 };
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the periodic purge
+ * The interval can be configured with TRASH_PURGE_INTERVAL_MS
+ */
+const start = (intervalMs) => {
+  if (timer) return;
+
+  const interval =
+    intervalMs ||
+    parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) ||
+    DEFAULT_INTERVAL_MS;
+
+  timer = setInterval(purgeTrash, interval);
+  // Do not keep the process alive just for the purge job
+  timer.unref();
+
+  const days = getRetentionDays();
+  console.log(
+    `Trash retention job started (every ${interval / 1000}s, ${days} days)`
+  );
+};
+
+// Stop the periodic purge
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { start, stop, purgeTrash };
@@ -0,0 +1,939 @@
+// utils/validators.js
+const mongoose = require("mongoose");
+const { body, param, query } = require("express-validator");
+const Task = require("../models/Task");
+const Automation = require("../models/Automation");
+const AuditLog = require("../models/AuditLog");
+const {
+  ERROR_CODES,
+  BadRequestError,
+  ForbiddenError,
+} = require("./apiResponse");
+const { SORTABLE_FIELDS, GROUPABLE_FIELDS, toList } = require("./taskQuery");
+const { normalizeRecurrence } = require("./recurrence");
+
+/**
+ * Shared validation rules
+ * express-validator chains for every route payload plus the project-aware
+ * checks (statuses, automation logic) that need a loaded project.
+ * Allowed values are read from the model enums so they cannot drift apart.
+ */
+
+const PRIORITIES = Task.schema.path("priority").enumValues;
+const MEMBER_ROLES = ["editor", "viewer"];
+const TRIGGER_TYPES = Automation.schema.path("trigger.type").enumValues;
+const ACTION_TYPES = Automation.schema.path("action.type").enumValues;
+const AUDIT_ACTIONS = AuditLog.schema.path("action").enumValues;
+const AUDIT_TARGETS = AuditLog.schema.path("target.type").enumValues;
+
+const TITLE_LENGTH = { min: 3, max: 100 };
+
+// ObjectId check shared by the validation chains and the controllers
+const isValidObjectId = (value) =>
+  typeof value === "string"
+    ? /^[0-9a-fA-F]{24}$/.test(value)
+    : value instanceof mongoose.Types.ObjectId;
+
+/**
+ * Project-aware checks
+ * Used by controllers and the automation engine once the project is loaded
+ */
+
+/**
+ * Throw when a status name is not one of the project's statuses
+ * @param {Object} project - Project document
+ * @param {String} status - Status name to check
+ * @param {String} label - Where the status came from, used in the message
+ */
+const assertValidStatus = (project, status, label = "status") => {
+  const validStatus = project.statuses.some((s) => s.name === status);
+
+  if (!validStatus) {
+    const prefix =
+      label === "status" ? "Invalid status" : `Invalid status in ${label}`;
+    throw new BadRequestError(
+      `${prefix}: ${status}. Must be one of the project's defined statuses.`,
+      ERROR_CODES.INVALID_STATUS
+    );
+  }
+};
+
+/**
+ * Throw when a status change is not allowed by the project's workflow
+ * @param {Object} project - Project document
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @param {String} role - Member role of the actor (omit for automations)
+ */
+const assertValidTransition = (project, from, to, role) => {
+  if (from === to) return;
+  if (project.getAllowedTransitions(from, role).includes(to)) return;
+
+  // The move exists in the workflow but not for this role
+  if (role && project.getAllowedTransitions(from).includes(to)) {
+    throw new ForbiddenError(
+      `Your role (${role}) cannot move tasks from "${from}" to "${to}"`,
+      ERROR_CODES.TRANSITION_NOT_ALLOWED,
+      { from, to, role, allowed: project.getAllowedTransitions(from, role) }
+    );
+  }
+
+  throw new BadRequestError(
+    `Tasks cannot move from "${from}" to "${to}" in this project's workflow`,
+    ERROR_CODES.INVALID_TRANSITION,
+    { from, to, allowed: project.getAllowedTransitions(from, role) }
+  );
+};
+
+/**
+ * Check a project's statuses and transitions form a usable workflow
+ * Every transition must link two different existing statuses, appear once,
+ * and every non-final status needs a way out so tasks cannot get stuck
+ * @param {Object} project - Project document with the new statuses/transitions
+ */
+const validateWorkflow = (project) => {
+  const transitions = project.transitions || [];
+  if (transitions.length === 0) return;
+
+  const names = project.statuses.map((s) => s.name);
+  const finalStatuses = project.getFinalStatuses();
+  const seen = new Set();
+  const problems = [];
+
+  for (const { from, to } of transitions) {
+    for (const status of [from, to]) {
+      if (!names.includes(status)) {
+        problems.push(`Unknown status "${status}" in transition`);
+      }
+    }
+
+    if (from === to) {
+      problems.push(`Transition from "${from}" to itself is not allowed`);
+    }
+
+    const key = `${from} -> ${to}`;
+    if (seen.has(key)) {
+      problems.push(`Duplicate transition from "${from}" to "${to}"`);
+    }
+    seen.add(key);
+  }
+
+  for (const name of names) {
+    if (
+      !finalStatuses.includes(name) &&
+      !transitions.some((t) => t.from === name)
+    ) {
+      problems.push(`Status "${name}" has no outgoing transition`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new BadRequestError(
+      "Invalid workflow transitions",
+      ERROR_CODES.INVALID_WORKFLOW,
+      [...new Set(problems)]
+    );
+  }
+};
+
+// Throw when a user is not a member of the project
+const assertProjectMember = (project, userId, message) => {
+  const isMember = project.members.some(
+    (member) => member.user.toString() === String(userId)
+  );
+
+  if (!isMember) {
+    throw new BadRequestError(
+      message || "Assignee must be a member of the project",
+      ERROR_CODES.INVALID_ASSIGNEE
+    );
+  }
+};
+
+/**
+ * Validate automation trigger/action values against the project
+ * Mirrors the path validators in the Automation model and additionally
+ * checks statuses and users against the project
+ */
+const validateAutomationLogic = (trigger, action, project) => {
+  const condition = (trigger && trigger.condition) || {};
+  const params = (action && action.params) || {};
+
+  // Validate task status triggers
+  if (trigger.type === "task_status_changed" && condition.value) {
+    assertValidStatus(project, condition.value, "trigger condition");
+  }
+
+  // Validate task assignment triggers
+  if (trigger.type === "task_assigned" && condition.value) {
+    assertProjectMember(
+      project,
+      condition.value,
+      "Trigger condition user must be a member of the project"
+    );
+  }
+
+  // Validate action params
+  if (action.type === "change_status" && params.status) {
+    assertValidStatus(project, params.status, "action params");
+  }
+
+  if (action.type === "assign_user" && params.userId) {
+    assertProjectMember(project, params.userId);
+  }
+};
+
+/**
+ * Reusable field rules
+ */
+
+// Required or optional ObjectId in any request location
+const objectId = (field, label, location = body) =>
+  location(field, `${label} must be a valid MongoDB ID`).custom(
+    isValidObjectId
+  );
+
+// Recurrence rule object or RRULE string (see utils/recurrence.js)
+const recurrence = ({ optional = true } = {}) => {
+  const chain = body("recurrence");
+
+  return (optional ? chain.optional({ nullable: true }) : chain).custom(
+    (value) => {
+      normalizeRecurrence(value);
+      return true;
+    }
+  );
+};
+
+// Owner-only flag to bypass WIP limits
+const wipOverride = () =>
+  body("overrideWipLimit", "overrideWipLimit must be a boolean")
+    .optional()
+    .isBoolean()
+    .toBoolean();
+
+// Status name (checked against the project by assertValidStatus)
+const statusName = (field = "status") =>
+  body(field, "Status must be a non-empty string")
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty();
+
+// Priority enum
+const priority = (field = "priority") =>
+  body(field, `Priority must be ${PRIORITIES.join(", ")}`)
+    .optional()
+    .isIn(PRIORITIES);
+
+// ISO 8601 date; empty values are allowed so dates can be cleared
+const isoDate = (field) =>
+  body(field, `${field} must be a valid ISO 8601 date`)
+    .optional({ checkFalsy: true })
+    .isISO8601();
+
+// Title with the shared length bounds
+const title = (field = "title", { optional = false } = {}) => {
+  const chain = body(
+    field,
+    `Title must be between ${TITLE_LENGTH.min} and ${TITLE_LENGTH.max} characters`
+  );
+
+  return (optional ? chain.optional() : chain)
+    .isString()
+    .bail()
+    .trim()
+    .isLength(TITLE_LENGTH);
+};
+
+// Project statuses array: non-empty, named, ordered and unique
+const statuses = (field = "statuses") => [
+  body(field, "Statuses must be a non-empty array")
+    .optional()
+    .isArray({ min: 1 }),
+  body(`${field}.*.name`, "Status name is required")
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty(),
+  body(`${field}.*.order`, "Status order must be a number").isNumeric(),
+  body(`${field}.*.isFinal`, "Status isFinal must be a boolean")
+    .optional()
+    .isBoolean(),
+  body(
+    [`${field}.*.wipLimit`, `${field}.*.wipLimitPerAssignee`],
+    "WIP limits must be positive integers"
+  )
+    .optional({ nullable: true })
+    .isInt({ min: 1 }),
+  body(field)
+    .optional()
+    .custom((value) => {
+      const names = value.map((s) => s && s.name);
+      if (new Set(names).size !== names.length) {
+        throw new Error("Status names must be unique");
+      }
+      return true;
+    }),
+];
+
+// Workflow transitions between statuses, checked against the statuses by
+// validateWorkflow once the project is loaded
+const transitions = (field = "transitions") => [
+  body(field, "Transitions must be an array").optional().isArray(),
+  body([`${field}.*.from`, `${field}.*.to`], "Transition statuses are required")
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty(),
+  body(`${field}.*.roles`, "Transition roles must be an array")
+    .optional()
+    .isArray(),
+  body(
+    `${field}.*.roles.*`,
+    `Transition roles must be owner, ${MEMBER_ROLES.join(", ")}`
+  ).isIn(["owner", ...MEMBER_ROLES]),
+];
+
+// Automation trigger; mirrors the trigger path validator in the model
+const trigger = (field = "trigger", { optional = false } = {}) => {
+  const chain = body(field);
+
+  return (optional ? chain.optional() : chain).custom((value) => {
+    if (!value || !TRIGGER_TYPES.includes(value.type)) {
+      throw new Error(
+        `Trigger type must be one of ${TRIGGER_TYPES.join(", ")}`
+      );
+    }
+
+    const condition = value.condition || {};
+
+    if (
+      value.type === "task_status_changed" &&
+      (!condition.value || typeof condition.value !== "string")
+    ) {
+      throw new Error("Status trigger requires a status name as value");
+    }
+
+    if (value.type === "task_assigned" && !isValidObjectId(condition.value)) {
+      throw new Error("Assignment trigger requires a valid user ID as value");
+    }
+
+    return true;
+  });
+};
+
+// Automation action; mirrors the action path validator in the model
+const action = (field = "action", { optional = false } = {}) => {
+  const chain = body(field);
+
+  return (optional ? chain.optional() : chain).custom((value) => {
+    if (!value || !ACTION_TYPES.includes(value.type)) {
+      throw new Error(`Action type must be one of ${ACTION_TYPES.join(", ")}`);
+    }
+
+    const params = value.params || {};
+    const requiredString = {
+      assign_badge: "badgeName",
+      change_status: "status",
+      send_notification: "message",
+    }[value.type];
+
+    if (
+      requiredString &&
+      (!params[requiredString] || typeof params[requiredString] !== "string")
+    ) {
+      throw new Error(`Action ${value.type} requires params.${requiredString}`);
+    }
+
+    if (value.type === "assign_user" && !isValidObjectId(params.userId)) {
+      throw new Error("Action assign_user requires a valid params.userId");
+    }
+
+    return true;
+  });
+};
+
+// Placeholder values for template title patterns
+const templateVariables = () =>
+  body("variables", "Variables must be an object")
+    .optional()
+    .isObject()
+    .bail()
+    .custom((variables) => {
+      const valid = Object.values(variables).every((value) =>
+        ["string", "number"].includes(typeof value)
+      );
+      if (!valid) {
+        throw new Error("Variable values must be strings or numbers");
+      }
+      return true;
+    });
+
+// Page/limit query params
+const pagination = () => [
+  query("page", "Page must be a positive integer").optional().isInt({ min: 1 }),
+  query("limit", "Limit must be between 1 and 100")
+    .optional()
+    .isInt({ min: 1, max: 100 }),
+];
+
+// Opaque cursor for endpoints that also support ?after= pagination
+const cursor = () => [
+  query("after", "Cursor must be a non-empty string")
+    .optional()
+    .isString()
+    .bail()
+    .notEmpty(),
+];
+
+// Task filters shared by the task list, search and saved views
+// (views send them in the body under "filters.")
+const taskFilters = (location = query, prefix = "") => {
+  const fields = (...names) => names.map((name) => `${prefix}${name}`);
+
+  return [
+    location(fields("priority"), `Priority must be ${PRIORITIES.join(", ")}`)
+      .optional()
+      .custom((value) => toList(value).every((p) => PRIORITIES.includes(p))),
+    location(
+      fields("assignee", "createdBy"),
+      "Assignee and createdBy must be valid MongoDB IDs or me"
+    )
+      .optional()
+      .custom((value) =>
+        toList(value).every((id) => id === "me" || isValidObjectId(id))
+      ),
+    location(
+      fields("dueDate", "dueBefore", "dueAfter"),
+      "Due dates must be valid ISO 8601 dates"
+    )
+      .optional()
+      .isISO8601(),
+    location(
+      fields("overdue", "unassigned"),
+      "overdue and unassigned must be true or false"
+    )
+      .optional()
+      .isIn(["true", "false"]),
+    location(fields("text"), "Text filter must be at most 100 characters")
+      .optional()
+      .isString()
+      .bail()
+      .trim()
+      .isLength({ max: 100 }),
+  ];
+};
+
+// Sort and grouping options of the task list and saved views
+const taskListOptions = (location = query) => [
+  location("sortBy", `Sort field must be ${SORTABLE_FIELDS.join(", ")}`)
+    .optional()
+    .isIn(SORTABLE_FIELDS),
+  location("sortOrder", "Sort order must be asc or desc")
+    .optional()
+    .isIn(["asc", "desc"]),
+  location("groupBy", `Group field must be ${GROUPABLE_FIELDS.join(", ")}`)
+    .optional({ nullable: true })
+    .isIn(GROUPABLE_FIELDS),
+];
+
+/**
+ * Route rule sets
+ */
+
+const projectValidators = {
+  idParam: [objectId("projectId", "Project ID", param)],
+  create: [
+    body("title", "Title is required").notEmpty(),
+    title(),
+    body("description").optional().isString().trim(),
+    ...statuses(),
+    ...transitions(),
+    objectId("template", "Template ID").optional(),
+    templateVariables(),
+  ],
+  update: [
+    objectId("projectId", "Project ID", param),
+    title("title", { optional: true }),
+    body("description").optional().isString().trim(),
+    ...statuses(),
+    ...transitions(),
+  ],
+  renameStatus: [
+    objectId("projectId", "Project ID", param),
+    body("name", "New status name is required")
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+  ],
+  mergeStatus: [
+    objectId("projectId", "Project ID", param),
+    body("into", "Target status is required")
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+    wipOverride(),
+  ],
+  clone: [
+    objectId("projectId", "Project ID", param),
+    title("title", { optional: true }),
+    body("include", "Include must be an object").optional().isObject(),
+    body(
+      [
+        "include.statuses",
+        "include.members",
+        "include.automations",
+        "include.tasks",
+        "include.comments",
+        "include.history",
+      ],
+      "Clone options must be booleans"
+    )
+      .optional()
+      .isBoolean()
+      .toBoolean(),
+    objectId("assigneeFallback", "Fallback assignee").optional({
+      nullable: true,
+    }),
+  ],
+};
+
+const taskValidators = {
+  idParam: [objectId("taskId", "Task ID", param)],
+  create: [
+    // A task template can supply the title
+    body("title", "Title is required")
+      .if(body("template").not().exists())
+      .notEmpty(),
+    title("title", { optional: true }),
+    body("project", "Project ID is required").notEmpty(),
+    objectId("project", "Project ID"),
+    body("description").optional().isString().trim(),
+    statusName(),
+    priority(),
+    isoDate("dueDate"),
+    objectId("assignee", "Assignee").optional({ checkFalsy: true }),
+    objectId("parent", "Parent task ID").optional({ checkFalsy: true }),
+    recurrence(),
+    wipOverride(),
+    objectId("template", "Template ID").optional(),
+    templateVariables(),
+  ],
+  update: [
+    objectId("taskId", "Task ID", param),
+    title("title", { optional: true }),
+    body("description").optional().isString().trim(),
+    statusName(),
+    priority(),
+    isoDate("dueDate"),
+    // "unassign" removes the current assignee
+    body("assignee", 'Assignee must be a valid MongoDB ID or "unassign"')
+      .optional({ checkFalsy: true })
+      .custom((value) => value === "unassign" || isValidObjectId(value)),
+    // null moves a subtask back to the top level
+    objectId("parent", "Parent task ID").optional({ nullable: true }),
+    wipOverride(),
+  ],
+  move: [
+    objectId("taskId", "Task ID", param),
+    statusName(),
+    body("position", "Position must be a non-negative integer")
+      .isInt({ min: 0 })
+      .toInt(),
+    wipOverride(),
+  ],
+  history: [
+    objectId("taskId", "Task ID", param),
+    query("field", "Invalid history field")
+      .optional()
+      .isIn([
+        "title",
+        "description",
+        "dueDate",
+        "priority",
+        "status",
+        "assignee",
+      ]),
+    query("action", "Invalid history action")
+      .optional()
+      .isIn(["created", "updated", "status_changed", "assigned", "commented"]),
+    ...pagination(),
+  ],
+  recurrence: [
+    objectId("taskId", "Task ID", param),
+    recurrence({ optional: false }),
+  ],
+  remove: [
+    objectId("taskId", "Task ID", param),
+    query("subtasks", "Subtasks option must be cascade or reparent")
+      .optional()
+      .isIn(["cascade", "reparent"]),
+  ],
+  list: [
+    objectId("projectId", "Project ID", param),
+    ...taskFilters(),
+    query(["tree", "topLevel"], "tree and topLevel must be true or false")
+      .optional()
+      .isIn(["true", "false"]),
+    ...taskListOptions(),
+    objectId("view", "View ID", query).optional(),
+    ...pagination(),
+    ...cursor(),
+  ],
+  dependency: [
+    objectId("taskId", "Task ID", param),
+    body("taskId", "Dependency task ID is required").notEmpty(),
+    objectId("taskId", "Dependency task ID"),
+    body("type", "Dependency type must be blocked_by or blocks")
+      .optional()
+      .isIn(["blocked_by", "blocks"]),
+  ],
+  dependencyParam: [
+    objectId("taskId", "Task ID", param),
+    objectId("dependencyId", "Dependency task ID", param),
+  ],
+  checklistItem: [
+    objectId("taskId", "Task ID", param),
+    body("text", "Checklist item text is required")
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+  ],
+  checklistUpdate: [
+    objectId("taskId", "Task ID", param),
+    objectId("itemId", "Checklist item ID", param),
+    body("text", "Checklist item text must be a non-empty string")
+      .optional()
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+    body("done", "Done must be a boolean").optional().isBoolean().toBoolean(),
+  ],
+  checklistParam: [
+    objectId("taskId", "Task ID", param),
+    objectId("itemId", "Checklist item ID", param),
+  ],
+  commentList: [objectId("taskId", "Task ID", param), ...pagination()],
+  commentParam: [
+    objectId("taskId", "Task ID", param),
+    objectId("commentId", "Comment ID", param),
+  ],
+  comment: [
+    objectId("taskId", "Task ID", param),
+    body("text", "Comment text is required")
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+    objectId("parent", "Parent comment ID").optional(),
+  ],
+  commentUpdate: [
+    objectId("taskId", "Task ID", param),
+    objectId("commentId", "Comment ID", param),
+    body("text", "Comment text is required")
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+  ],
+};
+
+const memberValidators = {
+  add: [
+    objectId("projectId", "Project ID", param),
+    body("email", "Valid email is required").isEmail(),
+    body("role", "Role must be either editor or viewer")
+      .optional()
+      .isIn(MEMBER_ROLES),
+  ],
+  updateRole: [
+    objectId("projectId", "Project ID", param),
+    objectId("userId", "User ID", param),
+    body("role", "Role must be either editor or viewer").isIn(MEMBER_ROLES),
+  ],
+  remove: [
+    objectId("projectId", "Project ID", param),
+    objectId("userId", "User ID", param),
+  ],
+};
+
+const automationValidators = {
+  idParam: [objectId("automationId", "Automation ID", param)],
+  create: [
+    body("project", "Project ID is required").notEmpty(),
+    objectId("project", "Project ID"),
+    body("name", "Automation name is required")
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+    trigger(),
+    action(),
+  ],
+  update: [
+    objectId("automationId", "Automation ID", param),
+    body("name", "Automation name must be at least 3 characters")
+      .optional()
+      .isString()
+      .bail()
+      .trim()
+      .isLength({ min: 3 }),
+    trigger("trigger", { optional: true }),
+    action("action", { optional: true }),
+    body("active", "Active must be a boolean").optional().isBoolean(),
+  ],
+};
+
+// Keys a saved view may store under "filters"
+const VIEW_FILTER_KEYS = [
+  "status",
+  "assignee",
+  "priority",
+  "createdBy",
+  "dueDate",
+  "dueBefore",
+  "dueAfter",
+  "overdue",
+  "unassigned",
+  "text",
+];
+
+const viewName = ({ optional = false } = {}) => {
+  const chain = body("name", "View name must be between 1 and 50 characters");
+
+  return (optional ? chain.optional() : chain)
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 });
+};
+
+const viewBody = () => [
+  body("filters", `Filters may only contain ${VIEW_FILTER_KEYS.join(", ")}`)
+    .optional()
+    .isObject()
+    .bail()
+    .custom((filters) =>
+      Object.keys(filters).every((key) => VIEW_FILTER_KEYS.includes(key))
+    ),
+  ...taskFilters(body, "filters."),
+  ...taskListOptions(body),
+  body("shared", "Shared must be a boolean").optional().isBoolean(),
+];
+
+const viewValidators = {
+  list: [objectId("projectId", "Project ID", param)],
+  idParam: [
+    objectId("projectId", "Project ID", param),
+    objectId("viewId", "View ID", param),
+  ],
+  create: [
+    objectId("projectId", "Project ID", param),
+    viewName(),
+    ...viewBody(),
+  ],
+  update: [
+    objectId("projectId", "Project ID", param),
+    objectId("viewId", "View ID", param),
+    viewName({ optional: true }),
+    ...viewBody(),
+  ],
+};
+
+// Template name
+const templateName = ({ optional = false } = {}) => {
+  const chain = body(
+    "name",
+    "Template name must be between 1 and 100 characters"
+  );
+
+  return (optional ? chain.optional() : chain)
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 });
+};
+
+// Fields shared by task templates and project template starter tasks
+const templateTask = (prefix = "", { optional = false } = {}) => {
+  const chain = body(
+    `${prefix}titlePattern`,
+    `Title pattern must be between ${TITLE_LENGTH.min} and ${TITLE_LENGTH.max} characters`
+  );
+
+  return [
+    (optional ? chain.optional() : chain)
+      .isString()
+      .bail()
+      .trim()
+      .isLength(TITLE_LENGTH),
+    body(`${prefix}description`).optional().isString().trim(),
+    priority(`${prefix}priority`),
+    body(`${prefix}checklist`, "Checklist must be an array of strings")
+      .optional()
+      .isArray(),
+    body(`${prefix}checklist.*`, "Checklist items must be non-empty strings")
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+    body(`${prefix}dueInDays`, "dueInDays must be a non-negative integer")
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .toInt(),
+  ];
+};
+
+const projectTemplateBody = () => [
+  body("description").optional().isString().trim(),
+  body("shared", "Shared must be a boolean").optional().isBoolean(),
+  ...statuses(),
+  ...transitions(),
+  body("automations", "Automations must be an array").optional().isArray(),
+  body("automations.*.name", "Automation name is required")
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty(),
+  trigger("automations.*.trigger"),
+  action("automations.*.action"),
+  body("automations.*.active", "Active must be a boolean")
+    .optional()
+    .isBoolean(),
+  body("tasks", "Tasks must be an array").optional().isArray(),
+  ...templateTask("tasks.*."),
+  statusName("tasks.*.status"),
+];
+
+const templateValidators = {
+  idParam: [objectId("templateId", "Template ID", param)],
+  create: [
+    templateName(),
+    body("statuses", "Statuses are required").exists(),
+    ...projectTemplateBody(),
+  ],
+  update: [
+    objectId("templateId", "Template ID", param),
+    templateName({ optional: true }),
+    ...projectTemplateBody(),
+  ],
+  fromProject: [
+    objectId("projectId", "Project ID", param),
+    templateName({ optional: true }),
+    body("description").optional().isString().trim(),
+    body(
+      ["shared", "includeAutomations", "includeTasks"],
+      "Template options must be booleans"
+    )
+      .optional()
+      .isBoolean()
+      .toBoolean(),
+  ],
+  taskList: [objectId("projectId", "Project ID", param)],
+  taskIdParam: [
+    objectId("projectId", "Project ID", param),
+    objectId("templateId", "Template ID", param),
+  ],
+  taskCreate: [
+    objectId("projectId", "Project ID", param),
+    templateName(),
+    ...templateTask(),
+  ],
+  taskUpdate: [
+    objectId("projectId", "Project ID", param),
+    objectId("templateId", "Template ID", param),
+    templateName({ optional: true }),
+    ...templateTask("", { optional: true }),
+  ],
+};
+
+const searchValidators = {
+  search: [
+    query("q", "Search query must be between 2 and 100 characters")
+      .isString()
+      .bail()
+      .trim()
+      .isLength({ min: 2, max: 100 }),
+    query("type", "Type must be all, tasks or projects")
+      .optional()
+      .isIn(["all", "tasks", "projects"]),
+    objectId("project", "Project ID", query).optional(),
+    ...taskFilters(),
+    ...pagination(),
+  ],
+};
+
+const auditValidators = {
+  list: [
+    objectId("projectId", "Project ID", param),
+    query("action", `Action must be one of ${AUDIT_ACTIONS.join(", ")}`)
+      .optional()
+      .custom((value) =>
+        toList(value).every((action) => AUDIT_ACTIONS.includes(action))
+      ),
+    objectId("actor", "Actor", query).optional(),
+    query("targetType", `Target type must be ${AUDIT_TARGETS.join(", ")}`)
+      .optional()
+      .isIn(AUDIT_TARGETS),
+    objectId("targetId", "Target ID", query).optional(),
+    query(["from", "to"], "from and to must be valid ISO 8601 dates")
+      .optional()
+      .isISO8601(),
+    query("format", "Format must be csv or json")
+      .optional()
+      .isIn(["csv", "json"]),
+    ...pagination(),
+    ...cursor(),
+  ],
+};
+
+const notificationValidators = {
+  idParam: [objectId("notificationId", "Notification ID", param)],
+  list: [
+    query("read", "Read must be true or false")
+      .optional()
+      .isIn(["true", "false"]),
+    ...pagination(),
+    ...cursor(),
+  ],
+};
+
+const mentionValidators = {
+  list: [
+    objectId("project", "Project ID", query).optional(),
+    query("source", "Source must be comment or description")
+      .optional()
+      .isIn(["comment", "description"]),
+    ...pagination(),
+    ...cursor(),
+  ],
+};
+
+module.exports = {
+  PRIORITIES,
+  MEMBER_ROLES,
+  TRIGGER_TYPES,
+  ACTION_TYPES,
+  isValidObjectId,
+  assertValidStatus,
+  assertValidTransition,
+  validateWorkflow,
+  assertProjectMember,
+  validateAutomationLogic,
+  projectValidators,
+  taskValidators,
+  memberValidators,
+  automationValidators,
+  viewValidators,
+  templateValidators,
+  auditValidators,
+  mentionValidators,
+  searchValidators,
+  notificationValidators,
+};
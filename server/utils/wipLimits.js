@@ -0,0 +1,200 @@
+// utils/wipLimits.js
+const Task = require("../models/Task");
+const { ERROR_CODES, ConflictError, ForbiddenError } = require("./apiResponse");
+
+/**
+ * Work-in-progress limits
+ * A status may cap how many tasks it holds (wipLimit) and how many tasks
+ * one assignee may hold in it (wipLimitPerAssignee). Limits are checked
+ * before a task enters a status or changes assignee; project owners can
+ * bypass them with an explicit override flag.
+ */
+
+/**
+ * Resolve the override flag of a request
+ * @param {Boolean} override - overrideWipLimit from the body
+ * @param {String} role - Member role of the actor
+ * @returns {Boolean} Whether limits should be skipped
+ */
+const resolveWipOverride = (override, role) => {
+  if (!override) return false;
+
+  if (role !== "owner") {
+    throw new ForbiddenError(
+      "Only the project owner can override WIP limits",
+      ERROR_CODES.INSUFFICIENT_ROLE,
+      { role }
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Throw when moving a task into a status would exceed its WIP limits
+ * @param {Object} project - Project document
+ * @param {String} status - Status the task is entering (or staying in)
+ * @param {Object} options
+ * @param {String} options.assignee - Assignee the task will have
+ * @param {String} options.excludeTaskId - Task being moved, not counted
+ * @param {Boolean} options.assigneeOnly - Only check the per-assignee limit
+ *   (the task is already in the status and only changes assignee)
+ * @param {Boolean} options.override - Skip the check (owner override)
+ */
+const assertWipLimit = async (
+  project,
+  status,
+  { assignee, excludeTaskId, assigneeOnly = false, override = false } = {}
+) => {
+  if (override) return;
+
+  const column = project.statuses.find((s) => s.name === status);
+  if (!column || (!column.wipLimit && !column.wipLimitPerAssignee)) return;
+
+  const filter = { project: project._id, status };
+  if (excludeTaskId) filter._id = { $ne: excludeTaskId };
+
+  if (column.wipLimit && !assigneeOnly) {
+    const count = await Task.countDocuments(filter);
+
+    if (count >= column.wipLimit) {
+      throw new ConflictError(
+        `"${status}" is at its WIP limit of ${column.wipLimit} tasks`,
+        ERROR_CODES.WIP_LIMIT_EXCEEDED,
+        { status, scope: "status", limit: column.wipLimit, count }
+      );
+    }
+  }
+
+  if (column.wipLimitPerAssignee && assignee) {
+    const count = await Task.countDocuments({ ...filter, assignee });
+
+    if (count >= column.wipLimitPerAssignee) {
+      throw new ConflictError(
+        `The assignee already has ${count} tasks in "${status}" (limit ${column.wipLimitPerAssignee})`,
+        ERROR_CODES.WIP_LIMIT_EXCEEDED,
+        {
+          status,
+          scope: "assignee",
+          assignee: String(assignee),
+          limit: column.wipLimitPerAssignee,
+          count,
+        }
+      );
+    }
+  }
+};
+
+/**
+ * Throw when moving several tasks into a status at once would exceed its
+ * WIP limits
+ * @param {Object} project - Project document
+ * @param {String} status - Status the tasks are entering
+ * @param {Array} tasks - Tasks being moved (with assignee)
+ * @param {Object} options
+ * @param {Boolean} options.override - Skip the check (owner override)
+ */
+const assertWipLimitForTasks = async (
+  project,
+  status,
+  tasks,
+  { override = false } = {}
+) => {
+  if (override || tasks.length === 0) return;
+
+  const column = project.statuses.find((s) => s.name === status);
+  if (!column || (!column.wipLimit && !column.wipLimitPerAssignee)) return;
+
+  const filter = { project: project._id, status };
+
+  if (column.wipLimit) {
+    const count = (await Task.countDocuments(filter)) + tasks.length;
+
+    if (count > column.wipLimit) {
+      throw new ConflictError(
+        `Moving ${tasks.length} tasks would put "${status}" over its WIP limit of ${column.wipLimit} tasks`,
+        ERROR_CODES.WIP_LIMIT_EXCEEDED,
+        { status, scope: "status", limit: column.wipLimit, count }
+      );
+    }
+  }
+
+  if (column.wipLimitPerAssignee) {
+    const incoming = new Map();
+    for (const task of tasks) {
+      if (!task.assignee) continue;
+      const assignee = task.assignee.toString();
+      incoming.set(assignee, (incoming.get(assignee) || 0) + 1);
+    }
+
+    for (const [assignee, moving] of incoming) {
+      const count =
+        (await Task.countDocuments({ ...filter, assignee })) + moving;
+
+      if (count > column.wipLimitPerAssignee) {
+        throw new ConflictError(
+          `The assignee would have ${count} tasks in "${status}" (limit ${column.wipLimitPerAssignee})`,
+          ERROR_CODES.WIP_LIMIT_EXCEEDED,
+          {
+            status,
+            scope: "assignee",
+            assignee,
+            limit: column.wipLimitPerAssignee,
+            count,
+          }
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Current task counts per status against their WIP limits
+ * @param {Object} project - Project document
+ * @returns {Promise<Array>} One entry per status, in board order
+ */
+const getWipReport = async (project) => {
+  const counts = await Task.aggregate([
+    { $match: { project: project._id } },
+    {
+      $group: {
+        _id: { status: "$status", assignee: "$assignee" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return [...project.statuses]
+    .sort((a, b) => a.order - b.order)
+    .map((column) => {
+      const rows = counts.filter((row) => row._id.status === column.name);
+      const count = rows.reduce((sum, row) => sum + row.count, 0);
+
+      const assignees = rows
+        .filter((row) => row._id.assignee)
+        .map((row) => ({
+          assignee: row._id.assignee,
+          count: row.count,
+          exceeded:
+            !!column.wipLimitPerAssignee &&
+            row.count > column.wipLimitPerAssignee,
+        }));
+
+      return {
+        status: column.name,
+        count,
+        wipLimit: column.wipLimit || null,
+        wipLimitPerAssignee: column.wipLimitPerAssignee || null,
+        atLimit: !!column.wipLimit && count >= column.wipLimit,
+        exceeded: !!column.wipLimit && count > column.wipLimit,
+        assignees,
+      };
+    });
+};
+
+module.exports = {
+  resolveWipOverride,
+  assertWipLimit,
+  assertWipLimitForTasks,
+  getWipReport,
+};
@@ -0,0 +1,171 @@
+// websocket/socket.js
+const { Server } = require("socket.io");
+const { verifyIdToken } = require("../config/firebase");
+const User = require("../models/User");
+const Project = require("../models/Project");
+const {
+  PERMISSIONS,
+  getMemberRole,
+  hasPermission,
+} = require("../utils/permissions");
+
+/**
+ * WebSocket server
+ * Authenticates clients with the same Firebase ID token as the protect
+ * middleware and broadcasts project and task events to per-project rooms.
+ *
+ * Rooms:
+ *   user:<userId>       - every socket of a user (notifications)
+ *   project:<projectId> - sockets that joined a project after a membership check
+ */
+
+let io = null;
+
+const projectRoom = (projectId) => `project:${projectId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Socket authentication middleware
+ * Reads the token from handshake.auth.token or a Bearer Authorization header
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    let token = auth.token;
+
+    if (
+      !token &&
+      headers.authorization &&
+      headers.authorization.startsWith("Bearer")
+    ) {
+      token = headers.authorization.split(" ")[1];
+    }
+
+    if (!token) {
+      return next(new Error("Not authorized, no token"));
+    }
+
+    const decodedToken = await verifyIdToken(token);
+    const user = await User.findOne({ firebaseUid: decodedToken.uid });
+
+    if (!user) {
+      return next(new Error("User not found"));
+    }
+
+    socket.user = {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+    };
+
+    next();
+  } catch (error) {
+    console.error("Socket authentication error:", error.message);
+    next(new Error("Not authorized, token failed"));
+  }
+};
+
+/**
+ * Verify that the socket's user may read the project
+ * Uses the same permission matrix as the requirePermission middleware
+ */
+const checkProjectAccess = async (projectId, userId) => {
+  if (!projectId) {
+    throw new Error("Project ID is required");
+  }
+
+  let project;
+  try {
+    project = await Project.findById(projectId).select("owner members");
+  } catch (error) {
+    throw new Error("Invalid project ID format");
+  }
+
+  if (!project) {
+    throw new Error("Project not found");
+  }
+
+  const role = getMemberRole(project, userId);
+
+  if (!hasPermission(role, PERMISSIONS.PROJECT_READ)) {
+    throw new Error("Access denied: You are not a member of this project");
+  }
+
+  return project;
+};
+
+// Reply through the acknowledgement callback if the client passed one
+const acknowledge = (callback, payload) => {
+  if (typeof callback === "function") callback(payload);
+};
+
+const handleConnection = (socket) => {
+  socket.join(userRoom(socket.user.id));
+
+  // Join a project room to receive its live updates
+  socket.on("project:join", async (projectId, callback) => {
+    try {
+      await checkProjectAccess(projectId, socket.user.id);
+      socket.join(projectRoom(projectId));
+      acknowledge(callback, { success: true, projectId });
+    } catch (error) {
+      acknowledge(callback, { success: false, message: error.message });
+    }
+  });
+
+  // Leave a project room
+  socket.on("project:leave", (projectId, callback) => {
+    socket.leave(projectRoom(projectId));
+    acknowledge(callback, { success: true, projectId });
+  });
+};
+
+/**
+ * Attach the socket server to the HTTP server
+ * @param {http.Server} server - HTTP server returned by app.listen
+ */
+const init = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: process.env.CLIENT_URL || "*",
+      methods: ["GET", "POST"],
+    },
+  });
+
+  io.use(authenticateSocket);
+  io.on("connection", handleConnection);
+
+  console.log("WebSocket server initialized");
+
+  return io;
+};
+
+/**
+ * Broadcast an event to every socket in a project room
+ * No-op until init has been called (e.g. in the seeder)
+ */
+const emitToProject = (projectId, event, payload) => {
+  if (!io || !projectId) return;
+  io.to(projectRoom(projectId.toString())).emit(event, payload);
+};
+
+// Send an event to every connected socket of a user
+const emitToUser = (userId, event, payload) => {
+  if (!io || !userId) return;
+  io.to(userRoom(userId.toString())).emit(event, payload);
+};
+
+// Remove a user's sockets from a project room after losing membership
+const removeUserFromProject = (projectId, userId) => {
+  if (!io) return;
+  io.in(userRoom(userId.toString())).socketsLeave(
+    projectRoom(projectId.toString())
+  );
+};
+
+module.exports = {
+  init,
+  emitToProject,
+  emitToUser,
+  removeUserFromProject,
+};